@@ -1,9 +1,27 @@
 /**
  * 922Proxy FoxyProxy Extension - Background Script
- * Handles IP detection and container management
+ * Handles proxy routing, IP lookups and container management
  * Version: 3.1.0
  */
 
+// Background services
+const credentialService = new CredentialService();
+const sessionGenerator = new FoxyProxyGenerator();
+const assignmentStore = new AssignmentStore();
+const proxyRouter = new ProxyRouter(credentialService, assignmentStore);
+const healthChecker = new HealthChecker(proxyRouter);
+const killSwitch = new KillSwitch(proxyRouter, healthChecker);
+const sessionScheduler = new SessionScheduler(proxyRouter, credentialService, sessionGenerator);
+const ipConflictService = new IpConflictService(proxyRouter);
+const ipLookupService = new IpLookupService(proxyRouter);
+const geoMismatchService = new GeoMismatchService(proxyRouter, sessionScheduler);
+const expiryMonitor = new ExpiryMonitor(assignmentStore);
+const identityResetService = new IdentityResetService(proxyRouter, sessionScheduler);
+const tagService = new TagService();
+const ownershipService = new OwnershipService();
+const trashService = new TrashService(assignmentStore, tagService, ownershipService, { sessionScheduler });
+const domainRuleService = new DomainRuleService(ownershipService);
+
 // Initialize extension when browser starts
 browser.runtime.onStartup.addListener(initialize);
 browser.runtime.onInstalled.addListener(initialize);
@@ -13,105 +31,184 @@ function initialize() {
     console.log('922Proxy Extension: Background script initialized');
 }
 
-// Listen for tab updates to capture IP information from ipinfo.io
-browser.tabs.onUpdated.addListener(handleTabUpdated);
+// Start routing as soon as the background page loads
+proxyRouter.initialize()
+    .then(() => Promise.all([
+        killSwitch.initialize(),
+        ownershipService.load(),
+        sessionScheduler.initialize(),
+        ipConflictService.initialize(),
+        geoMismatchService.initialize(),
+        expiryMonitor.initialize(),
+        trashService.initialize(),
+        domainRuleService.initialize()
+    ]))
+    .catch(error => {
+        console.error('Failed to initialize proxy routing:', error);
+    });
+
+// Drop routes of containers removed outside the popup
+if (browser.contextualIdentities) {
+    browser.contextualIdentities.onRemoved.addListener(({ contextualIdentity }) => {
+        const cookieStoreId = contextualIdentity.cookieStoreId;
+        Promise.all([
+            assignmentStore.remove(cookieStoreId),
+            killSwitch.setEnabled(cookieStoreId, false),
+            browser.storage.local.remove([`ip_${cookieStoreId}`, `ip_history_${cookieStoreId}`]),
+            geoMismatchService.clear(cookieStoreId),
+            tagService.remove(cookieStoreId),
+            ownershipService.remove(cookieStoreId),
+            domainRuleService.removeContainer(cookieStoreId)
+        ]).catch(error => {
+            console.error('Error cleaning up deleted container:', error);
+        });
+    });
+}
+
+// Look up the exit IP of every new route or session, including rotations
+// started by the session scheduler and the geo mismatch check
+assignmentStore.subscribe((cookieStoreId, assignment, previous) => {
+    const route = assignment && assignment.route;
+    const previousRoute = previous && previous.route;
+
+    if (route && (!previousRoute || route.assignedAt !== previousRoute.assignedAt)) {
+        lookupAfterSessionChange(cookieStoreId);
+    }
+});
+
+// Answer proxy authentication challenges for routed containers
+const pendingAuthRequests = new Set();
+
+// SOCKS proxies never raise onAuthRequired. Firefox reports a rejected SOCKS5
+// username or password as a refused proxy connection, the same error as an
+// unreachable gateway, so only repeated refusals with no successful request in
+// between are treated as rejected credentials
+const socksAuthError = 'NS_ERROR_PROXY_CONNECTION_REFUSED';
+const socksAuthFailureThreshold = 3;
+const socksRefusals = new Map();
+
+browser.webRequest.onAuthRequired.addListener(
+    handleAuthRequired,
+    { urls: ['<all_urls>'] },
+    ['blocking']
+);
+browser.webRequest.onCompleted.addListener(
+    handleRequestCompleted,
+    { urls: ['<all_urls>'] }
+);
+browser.webRequest.onErrorOccurred.addListener(
+    handleRequestError,
+    { urls: ['<all_urls>'] }
+);
 
 /**
- * Handle tab updates to capture IP information from ipinfo.io
- * Only activates when visiting ipinfo.io to avoid unnecessary script execution
+ * Supply the session username and saved password when a routed proxy asks
+ * A second challenge for the same request means the credentials were rejected
+ * Only HTTP and HTTPS proxies send challenges; SOCKS routes authenticate with
+ * the username and password in their ProxyInfo (see handleSocksRefusal)
  */
-async function handleTabUpdated(tabId, changeInfo, tabInfo) {
-    try {
-        // Only process when page is completely loaded and is ipinfo.io
-        if (changeInfo.status === 'complete' && 
-            tabInfo.url && 
-            tabInfo.url.includes('ipinfo.io') && 
-            tabInfo.cookieStoreId) {
-            
-            console.log(`Tab ${tabId} loaded ipinfo.io in container ${tabInfo.cookieStoreId}`);
-            
-            // Execute script to extract IP information from the page
-            const ipData = await browser.tabs.executeScript(tabId, {
-                code: `
-                    (() => {
-                        try {
-                            // Find the IP element using multiple selectors
-                            const ipElement = document.getElementById('ip-string') || 
-                                              document.querySelector('.what-is-my-ip') || 
-                                              document.querySelector('h1[data-testid="what-is-my-ip"]') ||
-                                              document.querySelector('.ip-address');
-                            
-                            // Find the location data using multiple selectors
-                            const locationElement = document.querySelector('.ip-address-location') || 
-                                                   document.querySelector('[data-testid="what-is-my-ip-location"]') ||
-                                                   document.querySelector('.location-text') ||
-                                                   document.querySelector('.geo-info');
-                            
-                            if (ipElement) {
-                                const ipText = ipElement.textContent.trim();
-                                const locationText = locationElement ? locationElement.textContent.trim() : 'Location not detected';
-                                
-                                // Return the extracted data
-                                return {
-                                    ip: ipText,
-                                    location: locationText,
-                                    timestamp: new Date().toISOString(),
-                                    success: true
-                                };
-                            } else {
-                                return { 
-                                    error: 'Could not find IP element on page',
-                                    success: false,
-                                    html: document.documentElement.innerHTML.substring(0, 500) + '...'
-                                };
-                            }
-                        } catch (error) {
-                            return { 
-                                error: error.message,
-                                success: false,
-                                stack: error.stack
-                            };
-                        }
-                    })()
-                `
-            });
-            
-            // Process the extracted data
-            if (ipData && ipData[0]) {
-                const containerIpData = ipData[0];
-                
-                if (containerIpData.success) {
-                    console.log(`Successfully extracted IP data for container ${tabInfo.cookieStoreId}:`, {
-                        ip: containerIpData.ip,
-                        location: containerIpData.location
-                    });
-                    
-                    // Store the IP data for this container
-                    await browser.storage.local.set({
-                        [`ip_${tabInfo.cookieStoreId}`]: {
-                            ip: containerIpData.ip,
-                            location: containerIpData.location,
-                            timestamp: containerIpData.timestamp,
-                            tabId: tabId
-                        }
-                    });
-                    
-                    // Show success notification
-                    browser.notifications.create({
-                        type: 'basic',
-                        iconUrl: 'icon48.png',
-                        title: '922Proxy - IP Detected',
-                        message: `Container IP: ${containerIpData.ip}\\nLocation: ${containerIpData.location}`
-                    });
-                    
-                } else {
-                    console.error(`Failed to extract IP data: ${containerIpData.error}`);
-                }
-            }
+async function handleAuthRequired(details) {
+    if (!details.isProxy) {
+        return {};
+    }
+
+    // Health check probes carry the generated entry's own credentials
+    const probe = proxyRouter.getProbe(details.url);
+    if (probe) {
+        if (pendingAuthRequests.has(details.requestId)) {
+            pendingAuthRequests.delete(details.requestId);
+            return { cancel: true };
         }
-    } catch (error) {
-        console.error('Error in handleTabUpdated:', error);
+
+        pendingAuthRequests.add(details.requestId);
+        return { authCredentials: { username: probe.username, password: probe.password } };
+    }
+
+    const route = proxyRouter.getRoute(details.cookieStoreId);
+
+    // Containers we do not route are left to FoxyProxy or the browser prompt
+    if (!route) {
+        return {};
+    }
+
+    if (route.authFailedAt || pendingAuthRequests.has(details.requestId)) {
+        pendingAuthRequests.delete(details.requestId);
+        await reportAuthFailure(details.cookieStoreId, route);
+        return { cancel: true };
+    }
+
+    const credentials = proxyRouter.getAuthCredentials(details.cookieStoreId);
+
+    if (!credentials) {
+        console.warn(`No saved credentials for proxy challenge in ${details.cookieStoreId}`);
+        return { cancel: true };
+    }
+
+    pendingAuthRequests.add(details.requestId);
+    return { authCredentials: credentials };
+}
+
+/**
+ * Forget auth attempts and SOCKS refusals once a request succeeds
+ */
+function handleRequestCompleted(details) {
+    pendingAuthRequests.delete(details.requestId);
+    socksRefusals.delete(details.cookieStoreId);
+}
+
+/**
+ * Forget auth attempts of failed requests and watch for SOCKS refusals
+ */
+function handleRequestError(details) {
+    pendingAuthRequests.delete(details.requestId);
+
+    if (details.error === socksAuthError) {
+        handleSocksRefusal(details.cookieStoreId).catch(error => {
+            console.error('Error checking SOCKS refusal:', error);
+        });
+    }
+}
+
+/**
+ * Report a SOCKS route whose gateway keeps refusing the connection
+ */
+async function handleSocksRefusal(cookieStoreId) {
+    const route = proxyRouter.getRoute(cookieStoreId);
+
+    if (!route || route.type !== 'socks5' || route.authFailedAt) {
+        return;
+    }
+
+    const refusals = (socksRefusals.get(cookieStoreId) || 0) + 1;
+    socksRefusals.set(cookieStoreId, refusals);
+
+    if (refusals >= socksAuthFailureThreshold) {
+        socksRefusals.delete(cookieStoreId);
+        await reportAuthFailure(cookieStoreId, route);
+    }
+}
+
+/**
+ * Notify the user once when a container's proxy rejects its credentials
+ */
+async function reportAuthFailure(cookieStoreId, route) {
+    if (route.authFailedAt) {
+        return;
     }
+
+    console.error(`Proxy rejected credentials for ${cookieStoreId} (${route.username})`);
+    await proxyRouter.markAuthFailure(cookieStoreId);
+
+    const problem = route.type === 'socks5'
+        ? `The SOCKS proxy keeps refusing connections for "${route.title}", which usually means it rejected the credentials.`
+        : `The proxy rejected the credentials for "${route.title}".`;
+
+    browser.notifications.create(`auth-failed-${cookieStoreId}`, {
+        type: 'basic',
+        iconUrl: 'icon48.png',
+        title: '922Proxy - Authentication Failed',
+        message: `${problem} Check your 922proxy username and password, then save them again.`
+    });
 }
 
 /**
@@ -128,6 +225,50 @@ browser.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
                 
             case 'getStoredCredentials':
                 return await getStoredCredentials();
+
+            case 'assignContainerProxy':
+                return await assignContainerProxy(message.containerId, message.proxy, message.provider);
+
+            case 'removeContainerProxy':
+                return await removeContainerProxy(message.containerId);
+
+            case 'getContainerProxy':
+                return { success: true, route: proxyRouter.getRoute(message.containerId) };
+
+            case 'rotateContainerSession':
+                return await rotateContainerSession(message.containerId);
+
+            case 'resetContainerIdentity':
+                return await resetContainerIdentity(message.containerId, { clearCache: message.clearCache });
+
+            case 'getRotationLog':
+                return { success: true, log: await sessionScheduler.getLog() };
+
+            case 'setKillSwitch':
+                await killSwitch.setEnabled(message.containerId, message.enabled);
+                return { success: true, enabled: message.enabled };
+
+            case 'getKillSwitchContainers':
+                return { success: true, containers: killSwitch.getEnabledContainers() };
+
+            case 'openRuleChoice':
+                await domainRuleService.openChoice(sender.tab.id, message.url, message.cookieStoreId);
+                return { success: true };
+
+            case 'checkProxyHealth':
+                return { success: true, results: await healthChecker.checkEntries(message.entries || []) };
+
+            case 'updateAssignment':
+                return await updateAssignment(message.method, message.args);
+
+            case 'updateTags':
+                return await runServiceWrite(tagService, message.method, message.args);
+
+            case 'updateOwnership':
+                return await runServiceWrite(ownershipService, message.method, message.args);
+
+            case 'updateTrash':
+                return await runServiceWrite(trashService, message.method, message.args);
                 
             default:
                 console.warn('Unknown message action:', message.action);
@@ -140,43 +281,67 @@ browser.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
 });
 
 /**
- * Refresh IP information for a specific container
+ * Run an assignment write for another extension page, as the store's only writer
  */
-async function refreshContainerIP(containerId) {
+async function updateAssignment(method, args) {
     try {
-        // Find tabs with this container
-        const tabs = await browser.tabs.query({ cookieStoreId: containerId });
-        
-        if (tabs.length > 0) {
-            // Navigate the first tab to ipinfo.io to trigger IP detection
-            await browser.tabs.update(tabs[0].id, {
-                url: 'https://ipinfo.io/what-is-my-ip',
-                active: true
-            });
-            
-            return { success: true, message: 'Refreshing IP information...' };
-        } else {
-            // Create a new tab if none exists
-            const newTab = await browser.tabs.create({
-                url: 'https://ipinfo.io/what-is-my-ip',
-                cookieStoreId: containerId,
-                active: true
-            });
-            
-            return { success: true, message: 'Created new tab for IP detection' };
+        if (!assignmentStore.writeMethods.includes(method)) {
+            throw new Error(`Unknown assignment method: ${method}`);
+        }
+
+        await assignmentStore.load();
+        const result = await assignmentStore[method](...(args || []));
+        return { success: true, result: result, assignments: assignmentStore.assignments };
+    } catch (error) {
+        console.error('Error updating assignment:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Run a write of a service the background owns for another extension page
+ */
+async function runServiceWrite(service, method, args) {
+    try {
+        if (!service.writeMethods.includes(method)) {
+            throw new Error(`Unknown write method: ${method}`);
         }
+
+        return { success: true, result: await service[method](...(args || [])) };
+    } catch (error) {
+        console.error(`Error running ${method} for another page:`, error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Look up a container's exit IP, through its proxy route when it has one
+ */
+async function refreshContainerIP(containerId) {
+    try {
+        const ipInfo = await ipLookupService.lookup(containerId);
+        return { success: true, ipInfo: ipInfo };
     } catch (error) {
         console.error('Error refreshing container IP:', error);
         return { success: false, error: error.message };
     }
 }
 
+/**
+ * Record a container's new exit IP in the background after its session changes
+ */
+function lookupAfterSessionChange(containerId) {
+    ipLookupService.lookup(containerId).catch(error => {
+        console.warn(`IP lookup after session change failed for ${containerId}: ${error.message}`);
+    });
+}
+
 /**
  * Clear stored data for a specific container
  */
 async function clearContainerData(containerId) {
     try {
-        await browser.storage.local.remove(`ip_${containerId}`);
+        await browser.storage.local.remove([`ip_${containerId}`, `ip_history_${containerId}`]);
         return { success: true, message: 'Container data cleared' };
     } catch (error) {
         console.error('Error clearing container data:', error);
@@ -184,6 +349,60 @@ async function clearContainerData(containerId) {
     }
 }
 
+/**
+ * Route a container through a generated proxy entry
+ */
+async function assignContainerProxy(containerId, proxy, provider = ProviderAdapter.defaultId) {
+    try {
+        sessionGenerator.setProvider(provider);
+        const session = sessionGenerator.parseAuthUsername(proxy && proxy.username);
+        const route = await proxyRouter.assignRoute(containerId, proxy, session);
+        return { success: true, route: route };
+    } catch (error) {
+        console.error('Error assigning container proxy:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Give a container a fresh sticky session right away
+ */
+async function rotateContainerSession(containerId) {
+    try {
+        const route = await sessionScheduler.rotate(containerId, 'manual');
+        return { success: true, route: route };
+    } catch (error) {
+        console.error('Error rotating container session:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Wipe a container's cookies and site data and give it a new session
+ */
+async function resetContainerIdentity(containerId, options = {}) {
+    try {
+        const result = await identityResetService.reset(containerId, options);
+        return { success: true, ...result };
+    } catch (error) {
+        console.error('Error resetting container identity:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Stop routing a container through its proxy
+ */
+async function removeContainerProxy(containerId) {
+    try {
+        const removed = await proxyRouter.removeRoute(containerId);
+        return { success: true, removed: removed };
+    } catch (error) {
+        console.error('Error removing container proxy:', error);
+        return { success: false, error: error.message };
+    }
+}
+
 /**
  * Get stored credentials (for validation purposes only)
  */
@@ -1,6 +1,7 @@
 /**
  * FoxyProxy Configuration Generator for 922proxy
  * Generates secure FoxyProxy JSON configurations with multiple proxies
+ * Provider-specific username formats live in providers/ (see ProviderAdapter)
  * Version: 3.1.0
  */
 
@@ -9,10 +10,25 @@ class FoxyProxyGenerator {
     // Default configuration - using verified working endpoints
     this.config = Object.assign(
       {
-        endpoint: "na.proxys5.net",
-        port: "6200",
+        provider: "922proxy",
+        endpoint: "",
+        port: "",
         region: "US",
         proxyCount: 10,
+        // "sticky" keeps one IP for sessionTime minutes, "rotating" changes per request
+        sessionMode: "sticky",
+        sessionTime: 120,
+        // "socks5", "http", "https", or "mixed" to cycle the types whose
+        // port is configured for the entry's region
+        proxyType: "socks5",
+        // Optional geo-targeting within the region
+        state: "",
+        city: "",
+        asn: "",
+        // Extra regions mixed round-robin into one config, e.g. ["US", "DE"]
+        regions: [],
+        // Country code -> { hostname, port, ports }, see EndpointRegistry
+        gateways: {},
       },
       config
     );
@@ -22,6 +38,12 @@ class FoxyProxyGenerator {
       this.config.region = "US";
     }
 
+    // Provider adapter supplies the username template and default gateway
+    this.adapter = ProviderAdapter.get(this.config.provider);
+    this.config.endpoint =
+      this.config.endpoint || this.adapter.defaultGateway.hostname;
+    this.config.port = this.config.port || this.adapter.defaultGateway.port;
+
     // Credentials object - NEVER store actual credentials here
     // Values must be provided by user through the extension UI
     this.credentials = {
@@ -117,53 +139,194 @@ class FoxyProxyGenerator {
     return `${year}${month}${day}-${hours}${minutes}`;
   }
 
+  /**
+   * Switch to another provider adapter and its default gateway
+   */
+  setProvider(providerId) {
+    this.adapter = ProviderAdapter.get(providerId);
+    this.config.provider = this.adapter.id;
+    this.config.endpoint = this.adapter.defaultGateway.hostname;
+    this.config.port = this.adapter.defaultGateway.port;
+  }
+
   /**
    * Validate credentials before generating configuration
    */
   validateCredentials() {
-    if (!this.credentials.username || !this.credentials.password) {
-      throw new Error("Username and password are required");
+    return this.adapter.validateCredentials(
+      this.credentials.username,
+      this.credentials.password
+    );
+  }
+
+  /**
+   * Get the configured sticky session lifetime in minutes
+   */
+  getSessionTime() {
+    return this.adapter.clampSessionTime(this.config.sessionTime);
+  }
+
+  /**
+   * Check whether entries should rotate their IP on every request
+   */
+  isRotating() {
+    return this.config.sessionMode === "rotating";
+  }
+
+  /**
+   * Get the region for an entry, cycling through config.regions when mixing
+   */
+  getEntryRegion(index) {
+    const regions = (this.config.regions || []).map((region) =>
+      region === "USA" ? "US" : region
+    );
+
+    if (regions.length === 0) {
+      return this.config.region;
     }
 
-    if (this.credentials.username.length < 3) {
-      throw new Error("Username must be at least 3 characters long");
+    return regions[index % regions.length];
+  }
+
+  /**
+   * Get the proxy type for an entry, cycling the types available at the
+   * entry's gateway when mixed
+   */
+  getEntryType(index) {
+    if (this.config.proxyType === "mixed") {
+      const types = this.getAvailableTypes(this.getEntryRegion(index));
+      return types[index % types.length];
     }
 
-    if (this.credentials.password.length < 6) {
-      throw new Error("Password must be at least 6 characters long");
+    return this.config.proxyType || "socks5";
+  }
+
+  /**
+   * Get the provider's proxy types that have a port at a region's gateway
+   * SOCKS5 always uses the gateway's main port
+   */
+  getAvailableTypes(region) {
+    const gateway = (this.config.gateways || {})[region];
+    const ports = (gateway && gateway.ports) || {};
+
+    return this.adapter.proxyTypes.filter(
+      (type) => type === "socks5" || !!ports[type]
+    );
+  }
+
+  /**
+   * Get the gateway host and port serving a region and proxy type
+   * Only SOCKS5 uses the gateway's main port; HTTP(S) need their own
+   */
+  resolveGateway(region, type = "socks5") {
+    const gateway = (this.config.gateways || {})[region];
+
+    if (gateway && !gateway.hostname) {
+      throw new Error(
+        `No gateway configured for region ${region}. Set one under Gateway Settings on the options page.`
+      );
     }
 
-    return true;
+    const ports = (gateway && gateway.ports) || {};
+    if (type !== "socks5" && !ports[type]) {
+      throw new Error(
+        `No ${type.toUpperCase()} port configured for region ${region}. Set one under Gateway Settings on the options page.`
+      );
+    }
+
+    if (gateway) {
+      return {
+        hostname: gateway.hostname,
+        port: parseInt(ports[type] || gateway.port, 10),
+      };
+    }
+
+    return {
+      hostname: this.config.endpoint,
+      port: parseInt(this.config.port, 10),
+    };
+  }
+
+  /**
+   * Build the provider auth username for the configured session mode
+   * State, city and ASN targeting only apply to the primary region
+   */
+  buildAuthUsername(sessionId, region = this.config.region) {
+    const isPrimary = region === this.config.region;
+
+    return this.adapter.buildUsername({
+      username: this.credentials.username,
+      region,
+      state: isPrimary ? this.config.state : "",
+      city: isPrimary ? this.config.city : "",
+      asn: isPrimary ? this.config.asn : "",
+      sessionMode: this.config.sessionMode,
+      sessionId,
+      sessionTime: this.getSessionTime(),
+    });
+  }
+
+  /**
+   * Extract session and geo details from an auth username built by buildAuthUsername
+   */
+  parseAuthUsername(authUsername) {
+    return this.adapter.parseUsername(authUsername);
+  }
+
+  /**
+   * Describe the session mode for entry titles
+   */
+  getSessionLabel() {
+    return this.isRotating() ? "rotating" : `sticky ${this.getSessionTime()}m`;
   }
 
   /**
    * Generate a single proxy configuration with enhanced security
+   * Pass label to append e.g. the name of the container it is generated for
    */
-  generateProxyConfig(index) {
+  generateProxyConfig(index, label = "") {
     this.validateCredentials();
 
-    const dateStr = this.formatDate();
+    const type = this.getEntryType(index);
+
+    if (!this.adapter.supportsType(type)) {
+      throw new Error(`${this.adapter.name} does not offer ${type} proxies`);
+    }
+
     const sessionId = this.generateSessionId();
     const colorIndex = index % this.colors.length;
     const iconIndex = index % this.icons.length;
+    const region = this.getEntryRegion(index);
+    const gateway = this.resolveGateway(region, type);
+    const isMixed = (this.config.regions || []).length > 1;
 
     // Create unique authentication username with session info
-    const authUsername = `${this.credentials.username}-region-${this.config.region}-sessid-${sessionId}-sessTime-120`;
+    const authUsername = this.buildAuthUsername(sessionId, region);
 
     return {
+      // Unique per entry so health results and container pairs can refer to it
+      id: `firefoxy-${sessionId}`,
       active: true,
-      title: `${index + 1} ${this.icons[iconIndex]}`,
-      type: "socks5",
-      hostname: this.config.endpoint,
-      port: parseInt(this.config.port, 10),
+      title: `${index + 1} ${this.icons[iconIndex]} ${
+        isMixed ? `${region} ` : ""
+      }${
+        type !== "socks5" ? `${type.toUpperCase()} ` : ""
+      }${this.getSessionLabel()}${label ? ` ${label}` : ""}`,
+      type,
+      hostname: gateway.hostname,
+      port: gateway.port,
       username: authUsername,
       password: this.credentials.password,
-      cc: "",
-      city: "",
+      cc: region,
+      city:
+        region === this.config.region
+          ? String(this.config.city || "").trim()
+          : "",
       color: this.colors[colorIndex],
       pac: "",
       pacString: "",
-      proxyDNS: true,
+      // Only SOCKS proxies can resolve DNS for the browser
+      proxyDNS: type === "socks5",
       include: [],
       exclude: [],
       tabProxy: [],
@@ -172,13 +335,16 @@ class FoxyProxyGenerator {
 
   /**
    * Generate complete FoxyProxy JSON configuration
+   * Pass options.containers (FireFoxy-owned containers from ContainerService)
+   * to generate one proxy per container and fill FoxyProxy's container map
    */
-  generateFullConfig() {
+  generateFullConfig(options = {}) {
     this.validateCredentials();
 
+    const containers = options.containers || [];
     const proxyCount = Math.max(
-      1,
-      Math.min(50, parseInt(this.config.proxyCount, 10) || 10)
+      containers.length,
+      Math.max(1, Math.min(50, parseInt(this.config.proxyCount, 10) || 10))
     );
     console.log(`Generating ${proxyCount} proxy configurations`);
 
@@ -186,7 +352,10 @@ class FoxyProxyGenerator {
 
     for (let i = 0; i < proxyCount; i++) {
       try {
-        proxyConfigs.push(this.generateProxyConfig(i));
+        const container = containers[i];
+        proxyConfigs.push(
+          this.generateProxyConfig(i, container ? container.name : "")
+        );
       } catch (error) {
         console.error(`Error generating proxy config ${i}:`, error);
         throw new Error(
@@ -196,12 +365,15 @@ class FoxyProxyGenerator {
     }
 
     return {
-      mode: `${this.config.endpoint}:${this.config.port}`,
+      mode: `${proxyConfigs[0].hostname}:${proxyConfigs[0].port}`,
       sync: false,
       autoBackup: false,
       passthrough: "",
       theme: "",
-      container: {},
+      container: this.buildContainerMap(
+        this.pairContainers(containers, proxyConfigs),
+        proxyConfigs
+      ),
       commands: {
         setProxy: "",
         setTabProxy: "",
@@ -212,12 +384,68 @@ class FoxyProxyGenerator {
     };
   }
 
+  /**
+   * Pair each container's cookieStoreId with the id of the entry generated
+   * for it by generateFullConfig (entry i belongs to container i)
+   */
+  pairContainers(containers, proxyConfigs) {
+    const pairs = {};
+
+    containers.forEach((container, i) => {
+      if (proxyConfigs[i]) {
+        pairs[container.cookieStoreId] = proxyConfigs[i].id;
+      }
+    });
+
+    return pairs;
+  }
+
+  /**
+   * Build FoxyProxy's container map from container -> entry id pairs
+   * FoxyProxy refers to a proxy by "hostname:port" and uses the first entry
+   * with that address, so containers whose entries share a gateway all
+   * exit through that first entry's session in FoxyProxy. "Route
+   * Containers" in the popup gives each its own entry through FireFoxy
+   */
+  buildContainerMap(pairs, proxyConfigs) {
+    const containerMap = {};
+
+    Object.entries(pairs).forEach(([cookieStoreId, entryId]) => {
+      const proxy = proxyConfigs.find((entry) => entry.id === entryId);
+
+      if (proxy) {
+        containerMap[cookieStoreId] = `${proxy.hostname}:${proxy.port}`;
+      }
+    });
+
+    return containerMap;
+  }
+
+  /**
+   * Copy a generated configuration without the given entry ids
+   * The container map is rebuilt from the pairs of the remaining entries
+   */
+  removeEntries(config, entryIds, pairs = {}) {
+    const dropped = new Set(entryIds);
+    const data = config.data.filter((proxy) => !dropped.has(proxy.id));
+
+    if (data.length === 0) {
+      throw new Error("No proxy entries left in the configuration");
+    }
+
+    return Object.assign({}, config, {
+      mode: `${data[0].hostname}:${data[0].port}`,
+      container: this.buildContainerMap(pairs, data),
+      data,
+    });
+  }
+
   /**
    * Get configuration as formatted JSON string
    */
-  getConfigAsJson() {
+  getConfigAsJson(options = {}) {
     try {
-      const config = this.generateFullConfig();
+      const config = this.generateFullConfig(options);
       return JSON.stringify(config, null, 2);
     } catch (error) {
       console.error("Error generating config JSON:", error);
@@ -227,10 +455,11 @@ class FoxyProxyGenerator {
 
   /**
    * Download configuration as JSON file with enhanced error handling
+   * Pass options.config to download an already generated configuration
    */
-  downloadConfig() {
+  downloadConfig(options = {}) {
     try {
-      const config = this.generateFullConfig();
+      const config = options.config || this.generateFullConfig(options);
       const jsonStr = JSON.stringify(config, null, 2);
 
       // Validate JSON before download
@@ -306,10 +535,18 @@ class FoxyProxyGenerator {
    */
   getConfigInfo() {
     return {
+      provider: this.config.provider,
       endpoint: this.config.endpoint,
       port: this.config.port,
       region: this.config.region,
+      regions: this.config.regions,
       proxyCount: this.config.proxyCount,
+      proxyType: this.config.proxyType,
+      sessionMode: this.config.sessionMode,
+      sessionTime: this.getSessionTime(),
+      state: this.config.state,
+      city: this.config.city,
+      asn: this.config.asn,
       hasCredentials: !!(
         this.credentials.username && this.credentials.password
       ),
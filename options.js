@@ -0,0 +1,624 @@
+/**
+ * FireFoxy - Options Page
+ * Editable settings shown below the FoxyProxy setup guide
+ */
+
+class FireFoxyOptions {
+  constructor() {
+    this.endpointRegistry = new EndpointRegistry();
+    this.healthChecker = new HealthChecker();
+    this.ipLookupService = new IpLookupService();
+    this.expiryMonitor = new ExpiryMonitor();
+    this.trashService = new TrashService();
+    this.domainRuleService = new DomainRuleService();
+
+    this.initialize();
+  }
+
+  /**
+   * Load settings and wire up the forms
+   */
+  async initialize() {
+    try {
+      this.renderProviderSelect();
+      await this.endpointRegistry.load();
+      this.renderGatewayTable();
+      await this.loadHealthCheckSettings();
+      await this.loadIpLookupSettings();
+      await this.loadExpiryWarningSettings();
+      await this.loadTrashSettings();
+      await this.loadDomainRules();
+      this.setupEventListeners();
+
+      console.log("✅ FireFoxy options loaded");
+    } catch (error) {
+      console.error("❌ Failed to load options:", error);
+      this.showStatus("gateway-status", "Failed to load settings", true);
+    }
+  }
+
+  /**
+   * Setup event listeners for the settings forms
+   */
+  setupEventListeners() {
+    const providerSelect = document.getElementById("gateway-provider");
+    if (providerSelect) {
+      providerSelect.addEventListener(
+        "change",
+        this.handleProviderChange.bind(this)
+      );
+    }
+
+    const saveGatewaysBtn = document.getElementById("save-gateways-btn");
+    if (saveGatewaysBtn) {
+      saveGatewaysBtn.addEventListener(
+        "click",
+        this.handleSaveGateways.bind(this)
+      );
+    }
+
+    const resetGatewaysBtn = document.getElementById("reset-gateways-btn");
+    if (resetGatewaysBtn) {
+      resetGatewaysBtn.addEventListener(
+        "click",
+        this.handleResetGateways.bind(this)
+      );
+    }
+
+    const lookupProvider = document.getElementById("lookup-provider");
+    if (lookupProvider) {
+      lookupProvider.addEventListener("change", () =>
+        this.renderLookupFields(lookupProvider.value)
+      );
+    }
+
+    const ipLookupForm = document.getElementById("ip-lookup-form");
+    if (ipLookupForm) {
+      ipLookupForm.addEventListener(
+        "submit",
+        this.handleSaveIpLookup.bind(this)
+      );
+    }
+
+    const expiryWarningForm = document.getElementById("expiry-warning-form");
+    if (expiryWarningForm) {
+      expiryWarningForm.addEventListener(
+        "submit",
+        this.handleSaveExpiryWarnings.bind(this)
+      );
+    }
+
+    const trashForm = document.getElementById("trash-form");
+    if (trashForm) {
+      trashForm.addEventListener("submit", this.handleSaveTrash.bind(this));
+    }
+
+    const addDomainRuleBtn = document.getElementById("add-domain-rule-btn");
+    if (addDomainRuleBtn) {
+      addDomainRuleBtn.addEventListener("click", (event) => {
+        event.preventDefault();
+        this.addDomainRuleRow({
+          pattern: "",
+          matchType: "exact",
+          mode: "container",
+          cookieStoreId: null,
+          enabled: true,
+        });
+      });
+    }
+
+    const saveDomainRulesBtn = document.getElementById("save-domain-rules-btn");
+    if (saveDomainRulesBtn) {
+      saveDomainRulesBtn.addEventListener(
+        "click",
+        this.handleSaveDomainRules.bind(this)
+      );
+    }
+
+    const healthCheckForm = document.getElementById("health-check-form");
+    if (healthCheckForm) {
+      healthCheckForm.addEventListener(
+        "submit",
+        this.handleSaveHealthCheck.bind(this)
+      );
+    }
+  }
+
+  /**
+   * List registered provider adapters for the gateway table
+   */
+  renderProviderSelect() {
+    const providerSelect = document.getElementById("gateway-provider");
+    if (!providerSelect) {
+      return;
+    }
+
+    providerSelect.textContent = "";
+    ProviderAdapter.list().forEach(({ id, name }) => {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = name;
+      option.selected = id === this.endpointRegistry.providerId;
+      providerSelect.appendChild(option);
+    });
+  }
+
+  /**
+   * Show the gateway table of the selected provider
+   */
+  async handleProviderChange(event) {
+    try {
+      await this.endpointRegistry.setProvider(event.target.value);
+      this.renderGatewayTable();
+    } catch (error) {
+      console.error("❌ Failed to load provider gateways:", error);
+      this.showStatus("gateway-status", error.message, true);
+    }
+  }
+
+  /**
+   * Render one editable row per continent
+   */
+  renderGatewayTable() {
+    const tbody = document.querySelector("#gateway-table tbody");
+    if (!tbody) {
+      return;
+    }
+
+    tbody.textContent = "";
+
+    this.endpointRegistry.getContinents().forEach((continent) => {
+      const row = document.createElement("tr");
+      row.dataset.continent = continent.id;
+
+      const label = document.createElement("td");
+      label.textContent = continent.label;
+
+      const countries = document.createElement("td");
+      countries.textContent = continent.countries.join(", ");
+
+      const hostCell = document.createElement("td");
+      const hostInput = document.createElement("input");
+      hostInput.type = "text";
+      hostInput.className = "gateway-host";
+      hostInput.value = continent.hostname;
+      hostCell.appendChild(hostInput);
+
+      const portCells = [
+        ["gateway-port", continent.port],
+        ["gateway-http-port", continent.ports.http],
+        ["gateway-https-port", continent.ports.https],
+      ].map(([className, value]) => {
+        const cell = document.createElement("td");
+        const input = document.createElement("input");
+        input.type = "number";
+        input.className = className;
+        input.min = "1";
+        input.max = "65535";
+        input.value = value || "";
+        // HTTP(S) have no verified default port, so they stay unset until
+        // entered here
+        input.placeholder = className === "gateway-port" ? "" : "not set";
+        cell.appendChild(input);
+        return cell;
+      });
+
+      row.append(label, countries, hostCell, ...portCells);
+      tbody.appendChild(row);
+    });
+  }
+
+  /**
+   * Save rows that differ from the registry defaults
+   */
+  async handleSaveGateways(event) {
+    event.preventDefault();
+
+    const overrides = {};
+    document.querySelectorAll("#gateway-table tbody tr").forEach((row) => {
+      const continent = row.dataset.continent;
+      const defaults = this.endpointRegistry.defaults[continent];
+      const defaultPorts = defaults.ports || {};
+      const hostname = row.querySelector(".gateway-host").value.trim();
+      const port = parseInt(row.querySelector(".gateway-port").value, 10);
+      const ports = {};
+
+      [
+        ["http", ".gateway-http-port"],
+        ["https", ".gateway-https-port"],
+      ].forEach(([type, selector]) => {
+        const value = parseInt(row.querySelector(selector).value, 10);
+        if (value) {
+          ports[type] = value;
+        }
+      });
+
+      const portsChanged = ["http", "https"].some(
+        (type) => (ports[type] || null) !== (defaultPorts[type] || null)
+      );
+
+      // Continents without a default gateway stay unset while left empty
+      if (
+        hostname !== (defaults.hostname || "") ||
+        (port || null) !== (defaults.port || null) ||
+        portsChanged
+      ) {
+        overrides[continent] = { hostname, port, ports };
+      }
+    });
+
+    try {
+      await this.endpointRegistry.saveOverrides(overrides);
+      this.showStatus("gateway-status", "Gateways saved");
+      console.log("✅ Gateway overrides saved");
+    } catch (error) {
+      console.error("❌ Failed to save gateways:", error);
+      this.showStatus("gateway-status", error.message, true);
+    }
+  }
+
+  /**
+   * Restore the default gateway table
+   */
+  async handleResetGateways(event) {
+    event.preventDefault();
+
+    try {
+      await this.endpointRegistry.resetOverrides();
+      this.renderGatewayTable();
+      this.showStatus("gateway-status", "Gateways reset to defaults");
+    } catch (error) {
+      console.error("❌ Failed to reset gateways:", error);
+      this.showStatus("gateway-status", error.message, true);
+    }
+  }
+
+  /**
+   * Fill the health check form from storage
+   */
+  async loadHealthCheckSettings() {
+    const settings = await this.healthChecker.getSettings();
+    const fields = {
+      "probe-url": settings.probeUrl,
+      "probe-ip-field": settings.ipField,
+      "probe-timeout": settings.timeoutSeconds,
+    };
+
+    Object.entries(fields).forEach(([id, value]) => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.value = value;
+      }
+    });
+  }
+
+  /**
+   * Save the probe target used by the health checker
+   */
+  async handleSaveHealthCheck(event) {
+    event.preventDefault();
+
+    try {
+      await this.healthChecker.saveSettings({
+        probeUrl: document.getElementById("probe-url").value.trim(),
+        ipField: document.getElementById("probe-ip-field").value,
+        timeoutSeconds: document.getElementById("probe-timeout").value,
+      });
+      this.showStatus("health-check-status", "Health check settings saved");
+      console.log("✅ Health check settings saved");
+    } catch (error) {
+      console.error("❌ Failed to save health check settings:", error);
+      this.showStatus("health-check-status", error.message, true);
+    }
+  }
+
+  /**
+   * Fill the expiry warning form from storage
+   */
+  async loadExpiryWarningSettings() {
+    const settings = await this.expiryMonitor.getSettings();
+
+    const enabled = document.getElementById("expiry-enabled");
+    if (enabled) {
+      enabled.checked = settings.enabled;
+    }
+
+    const thresholds = document.getElementById("expiry-thresholds");
+    if (thresholds) {
+      thresholds.value = settings.thresholdMinutes.join(", ");
+    }
+  }
+
+  /**
+   * Save the expiry warning thresholds used by the background script
+   */
+  async handleSaveExpiryWarnings(event) {
+    event.preventDefault();
+
+    try {
+      const saved = await this.expiryMonitor.saveSettings({
+        enabled: document.getElementById("expiry-enabled").checked,
+        thresholdMinutes: document.getElementById("expiry-thresholds").value,
+      });
+      document.getElementById("expiry-thresholds").value =
+        saved.thresholdMinutes.join(", ");
+      this.showStatus("expiry-warning-status", "Expiry warnings saved");
+      console.log("✅ Expiry warning settings saved");
+    } catch (error) {
+      console.error("❌ Failed to save expiry warning settings:", error);
+      this.showStatus("expiry-warning-status", error.message, true);
+    }
+  }
+
+  /**
+   * Fill the trash form from storage
+   */
+  async loadTrashSettings() {
+    const settings = await this.trashService.getSettings();
+
+    const retention = document.getElementById("trash-retention");
+    if (retention) {
+      retention.value = settings.retentionDays;
+    }
+  }
+
+  /**
+   * Save how long deleted containers stay restorable
+   */
+  async handleSaveTrash(event) {
+    event.preventDefault();
+
+    try {
+      await this.trashService.saveSettings({
+        retentionDays: document.getElementById("trash-retention").value,
+      });
+      this.showStatus("trash-status", "Trash settings saved");
+      console.log("✅ Trash settings saved");
+    } catch (error) {
+      console.error("❌ Failed to save trash settings:", error);
+      this.showStatus("trash-status", error.message, true);
+    }
+  }
+
+  /**
+   * Render the domain rules table with the profile's containers
+   */
+  async loadDomainRules() {
+    const tbody = document.querySelector("#domain-rules-table tbody");
+    if (!tbody) {
+      return;
+    }
+
+    this.ruleContainers = await browser.contextualIdentities.query({});
+    const rules = await this.domainRuleService.getRules();
+
+    tbody.textContent = "";
+    rules.forEach((rule) => this.addDomainRuleRow(rule));
+  }
+
+  /**
+   * Append one editable rule row
+   */
+  addDomainRuleRow(rule) {
+    const tbody = document.querySelector("#domain-rules-table tbody");
+    const row = document.createElement("tr");
+    row.dataset.ruleId = rule.id || "";
+
+    const createSelect = (className, options, value) => {
+      const select = document.createElement("select");
+      select.className = className;
+      options.forEach(([optionValue, label]) => {
+        const option = document.createElement("option");
+        option.value = optionValue;
+        option.textContent = label;
+        option.selected = optionValue === value;
+        select.appendChild(option);
+      });
+      return select;
+    };
+
+    const patternInput = document.createElement("input");
+    patternInput.type = "text";
+    patternInput.className = "rule-pattern";
+    patternInput.placeholder = "*.example.com";
+    patternInput.value = rule.pattern;
+
+    const matchSelect = createSelect(
+      "rule-match",
+      [
+        ["exact", "Exact host"],
+        ["wildcard", "Wildcard"],
+        ["regex", "Regex"],
+      ],
+      rule.matchType
+    );
+
+    const modeSelect = createSelect(
+      "rule-mode",
+      [
+        ["container", "Container"],
+        ["ask", "Always ask"],
+        ["ephemeral", "Ephemeral"],
+      ],
+      rule.mode
+    );
+
+    const containerOptions = this.ruleContainers.map((container) => [
+      container.cookieStoreId,
+      container.name,
+    ]);
+    if (
+      rule.cookieStoreId &&
+      !containerOptions.some(([id]) => id === rule.cookieStoreId)
+    ) {
+      containerOptions.unshift([rule.cookieStoreId, "(deleted container)"]);
+    }
+    const containerSelect = createSelect(
+      "rule-container",
+      [["", "Choose a container"], ...containerOptions],
+      rule.cookieStoreId || ""
+    );
+    containerSelect.disabled = rule.mode !== "container";
+    modeSelect.addEventListener("change", () => {
+      containerSelect.disabled = modeSelect.value !== "container";
+    });
+
+    const enabledInput = document.createElement("input");
+    enabledInput.type = "checkbox";
+    enabledInput.className = "rule-enabled";
+    enabledInput.checked = rule.enabled !== false;
+
+    const removeBtn = document.createElement("button");
+    removeBtn.className = "button";
+    removeBtn.textContent = "Remove";
+    removeBtn.addEventListener("click", (event) => {
+      event.preventDefault();
+      row.remove();
+    });
+
+    [
+      patternInput,
+      matchSelect,
+      modeSelect,
+      containerSelect,
+      enabledInput,
+      removeBtn,
+    ].forEach((element) => {
+      const cell = document.createElement("td");
+      cell.appendChild(element);
+      row.appendChild(cell);
+    });
+
+    tbody.appendChild(row);
+  }
+
+  /**
+   * Save the rules in table order
+   */
+  async handleSaveDomainRules(event) {
+    event.preventDefault();
+
+    const rules = Array.from(
+      document.querySelectorAll("#domain-rules-table tbody tr")
+    ).map((row) => ({
+      id: row.dataset.ruleId || null,
+      pattern: row.querySelector(".rule-pattern").value,
+      matchType: row.querySelector(".rule-match").value,
+      mode: row.querySelector(".rule-mode").value,
+      cookieStoreId: row.querySelector(".rule-container").value || null,
+      enabled: row.querySelector(".rule-enabled").checked,
+    }));
+
+    try {
+      const saved = await this.domainRuleService.saveRules(rules);
+      document
+        .querySelectorAll("#domain-rules-table tbody tr")
+        .forEach((row, index) => {
+          row.dataset.ruleId = saved[index].id;
+        });
+      this.showStatus("domain-rules-status", `${saved.length} rules saved`);
+      console.log("✅ Domain rules saved");
+    } catch (error) {
+      console.error("❌ Failed to save domain rules:", error);
+      this.showStatus("domain-rules-status", error.message, true);
+    }
+  }
+
+  /**
+   * Fill the IP lookup form from storage
+   */
+  async loadIpLookupSettings() {
+    this.ipLookupSettings = await this.ipLookupService.getSettings();
+
+    const providerSelect = document.getElementById("lookup-provider");
+    if (providerSelect) {
+      providerSelect.value = this.ipLookupSettings.provider;
+      this.renderLookupFields(this.ipLookupSettings.provider);
+    }
+  }
+
+  /**
+   * Show the URL and field mapping for a provider; only custom is editable
+   */
+  renderLookupFields(provider) {
+    const preset = this.ipLookupService.presets[provider];
+    const isCustom = !preset;
+    const saved = this.ipLookupSettings || {};
+    const useSaved = isCustom && saved.provider === "custom";
+
+    const urlInput = document.getElementById("lookup-url");
+    if (urlInput) {
+      urlInput.value = isCustom
+        ? useSaved
+          ? saved.customUrl
+          : ""
+        : preset.url;
+      urlInput.readOnly = !isCustom;
+    }
+
+    const fields = isCustom
+      ? useSaved
+        ? saved.fields
+        : this.ipLookupService.defaultSettings.fields
+      : preset.fields;
+
+    document.querySelectorAll(".lookup-field").forEach((input) => {
+      input.value = fields[input.dataset.field] || "";
+      input.readOnly = !isCustom;
+    });
+  }
+
+  /**
+   * Save the IP lookup provider and field mapping
+   */
+  async handleSaveIpLookup(event) {
+    event.preventDefault();
+
+    const fields = {};
+    document.querySelectorAll(".lookup-field").forEach((input) => {
+      fields[input.dataset.field] = input.value;
+    });
+
+    try {
+      this.ipLookupSettings = await this.ipLookupService.saveSettings({
+        provider: document.getElementById("lookup-provider").value,
+        customUrl: document.getElementById("lookup-url").value.trim(),
+        fields,
+      });
+      this.showStatus("ip-lookup-status", "IP lookup settings saved");
+      console.log("✅ IP lookup settings saved");
+    } catch (error) {
+      console.error("❌ Failed to save IP lookup settings:", error);
+      this.showStatus("ip-lookup-status", error.message, true);
+    }
+  }
+
+  /**
+   * Show a short status message under a settings section
+   */
+  showStatus(elementId, message, isError = false) {
+    const element = document.getElementById(elementId);
+    if (!element) {
+      return;
+    }
+
+    element.textContent = message;
+    element.style.display = "block";
+    element.style.color = isError ? "#dc2626" : "";
+
+    setTimeout(() => {
+      element.style.display = "none";
+    }, 5000);
+  }
+}
+
+// Initialize when DOM is ready
+let optionsPage = null;
+
+if (document.readyState === "loading") {
+  document.addEventListener("DOMContentLoaded", () => {
+    optionsPage = new FireFoxyOptions();
+  });
+} else {
+  optionsPage = new FireFoxyOptions();
+}
@@ -9,9 +9,26 @@ class FireFoxyPopup {
     console.log("🚀 FireFoxy v2.0.0 initializing...");
 
     // Initialize services
-    this.containerService = new ContainerService();
+    // Writes go through the background script, which owns the store
+    this.assignmentStore = new AssignmentStore({ remote: true });
+    this.tagService = new TagService({ remote: true });
+    this.ownershipService = new OwnershipService({ remote: true });
+    this.trashService = new TrashService(
+      this.assignmentStore,
+      this.tagService,
+      this.ownershipService,
+      { remote: true }
+    );
+    this.containerService = new ContainerService(
+      this.assignmentStore,
+      this.trashService,
+      this.ownershipService
+    );
     this.credentialService = new CredentialService();
     this.uiManager = new UIManager();
+    this.geoTargetService = new GeoTargetService();
+    this.endpointRegistry = new EndpointRegistry();
+    this.ipLookupService = new IpLookupService();
 
     // Initialize proxy generator
     this.proxyGenerator = null;
@@ -22,7 +39,30 @@ class FireFoxyPopup {
       containers: [],
       credentials: null,
       isGenerating: false,
+      // Last generated config and its health check results, used for download
+      generatedConfig: null,
+      healthResults: [],
+      // cookieStoreId -> id of the entry generated for it in that config
+      containerEntries: {},
+      // Regions in the order they were picked; the first one is primary
+      regionOrder: ["US"],
       isLoadingContainers: false,
+      // Bulk provisioning defers list reloads until it finishes
+      isProvisioning: false,
+      // Per-container kill switch, IP record and route for the cards
+      containerStates: {},
+      appliedStatuses: {},
+      // Bulk actions skip containers FireFoxy does not manage unless opted in
+      includeForeign: false,
+      // Search, filters and sort order of the container list
+      listView: {
+        query: "",
+        appliedOnly: false,
+        hasProxy: false,
+        ipStale: false,
+        region: "",
+        sort: "name",
+      },
     };
 
     // Performance timers
@@ -48,7 +88,17 @@ class FireFoxyPopup {
       this.setupEventListeners();
 
       // Load data in parallel for better performance
-      await Promise.all([this.loadCredentials(), this.loadContainers()]);
+      await Promise.all([
+        this.loadCredentials(),
+        this.loadContainers(),
+        this.loadRotationSettings(),
+      ]);
+
+      // Gateways depend on the provider of the saved credentials
+      await this.loadEndpoints();
+      this.populateGeoPickers();
+      await this.loadIpConflicts();
+      await this.loadTrash();
 
       // Setup container service listeners
       this.containerService.addEventListener(
@@ -81,9 +131,8 @@ class FireFoxyPopup {
         return;
       }
 
+      // Gateways are filled in from the endpoint registry before generating
       this.proxyGenerator = new FoxyProxyGenerator({
-        endpoint: "na.proxys5.net",
-        port: "6200",
         region: "USA",
         proxyCount: 10,
       });
@@ -136,6 +185,72 @@ class FireFoxyPopup {
       );
     }
 
+    const routeContainersBtn = this.uiManager.getElement(
+      "route-containers-btn"
+    );
+    if (routeContainersBtn) {
+      this.uiManager.addEventListener(
+        routeContainersBtn,
+        "click",
+        this.handleRouteContainers.bind(this)
+      );
+    }
+
+    // Geo-targeting pickers
+    const proxyRegionSelect = this.uiManager.getElement("proxy-region");
+    if (proxyRegionSelect) {
+      this.uiManager.addEventListener(
+        proxyRegionSelect,
+        "change",
+        this.populateGeoPickers.bind(this)
+      );
+    }
+
+    const stateInput = this.uiManager.getElement("proxy-state");
+    if (stateInput) {
+      this.uiManager.addEventListener(
+        stateInput,
+        "change",
+        this.populateCityPicker.bind(this)
+      );
+    }
+
+    const sessionModeSelect = this.uiManager.getElement("session-mode");
+    if (sessionModeSelect) {
+      this.uiManager.addEventListener(
+        sessionModeSelect,
+        "change",
+        this.handleSessionModeChange.bind(this)
+      );
+    }
+
+    const rotationSelect = this.uiManager.getElement("rotation-interval");
+    if (rotationSelect) {
+      this.uiManager.addEventListener(
+        rotationSelect,
+        "change",
+        this.handleRotationChange.bind(this)
+      );
+    }
+
+    const geoAutoRotateBox = this.uiManager.getElement("geo-auto-rotate");
+    if (geoAutoRotateBox) {
+      this.uiManager.addEventListener(
+        geoAutoRotateBox,
+        "change",
+        this.handleGeoAutoRotateChange.bind(this)
+      );
+    }
+
+    const providerSelect = this.uiManager.getElement("proxy-provider");
+    if (providerSelect) {
+      this.uiManager.addEventListener(
+        providerSelect,
+        "change",
+        this.handleProviderChange.bind(this)
+      );
+    }
+
     // Container management
     const newContainerBtn = this.uiManager.getElement("create-container-btn");
     if (newContainerBtn) {
@@ -165,6 +280,94 @@ class FireFoxyPopup {
       );
     }
 
+    // Bulk provisioning of identity containers
+    const provisionBtn = this.uiManager.getElement("provision-btn");
+    if (provisionBtn) {
+      this.uiManager.addEventListener(
+        provisionBtn,
+        "click",
+        this.handleProvisionIdentities.bind(this)
+      );
+    }
+
+    const includeForeign = this.uiManager.getElement("include-foreign");
+    if (includeForeign) {
+      this.uiManager.addEventListener(includeForeign, "change", () => {
+        this.state.includeForeign = includeForeign.checked;
+      });
+    }
+
+    // Trash of deleted containers, restorable within the retention window
+    const trashToggleBtn = this.uiManager.getElement("trash-toggle-btn");
+    const trashList = this.uiManager.getElement("trash-list");
+    if (trashToggleBtn && trashList) {
+      this.uiManager.addEventListener(trashToggleBtn, "click", () => {
+        trashList.style.display =
+          trashList.style.display === "none" ? "block" : "none";
+      });
+      this.uiManager.addEventListener(
+        trashList,
+        "click",
+        this.handleTrashAction.bind(this)
+      );
+    }
+
+    // Search, filter and sort controls re-render the virtual container list
+    const searchInput = this.uiManager.getElement("container-search");
+    if (searchInput) {
+      this.uiManager.addEventListener(searchInput, "input", () => {
+        this.state.listView.query = searchInput.value;
+        this.renderContainerList();
+      });
+    }
+
+    [
+      ["container-sort", "sort", "value"],
+      ["filter-region", "region", "value"],
+      ["filter-applied", "appliedOnly", "checked"],
+      ["filter-proxy", "hasProxy", "checked"],
+      ["filter-stale", "ipStale", "checked"],
+    ].forEach(([id, key, property]) => {
+      const control = this.uiManager.getElement(id);
+      if (control) {
+        this.uiManager.addEventListener(control, "change", () => {
+          this.state.listView[key] = control[property];
+          this.renderContainerList();
+        });
+      }
+    });
+
+    // Rotate buttons in the shared exit IP banner use the card action handler
+    const conflictBanner = this.uiManager.getElement("ip-conflict-banner");
+    if (conflictBanner) {
+      this.uiManager.addEventListener(
+        conflictBanner,
+        "click",
+        this.handleContainerAction.bind(this)
+      );
+    }
+
+    browser.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== "local") {
+        return;
+      }
+
+      if (changes.exit_ip_conflicts) {
+        this.renderIpConflicts(changes.exit_ip_conflicts.newValue);
+      }
+
+      if (changes[this.trashService.storageKey]) {
+        this.loadTrash();
+      }
+
+      this.handleStatusChanges(changes);
+    });
+
+    // Routes change when sessions are assigned, rotated or removed
+    this.assignmentStore.subscribe((containerId, assignment) => {
+      this.handleRouteChange(containerId, assignment);
+    });
+
     // Container list event delegation
     const containerList = this.uiManager.getElement("container-list");
     if (containerList) {
@@ -210,6 +413,11 @@ class FireFoxyPopup {
         if (passwordField)
           passwordField.value = this.state.credentials.password || "";
 
+        const providerSelect = this.uiManager.getElement("proxy-provider");
+        if (providerSelect) {
+          providerSelect.value = this.getProviderId();
+        }
+
         this.uiManager.showSuccess(
           "credentialStatus",
           "Credentials loaded successfully"
@@ -234,6 +442,80 @@ class FireFoxyPopup {
     }
   }
 
+  /**
+   * Load the background session rotation settings into the form
+   */
+  async loadRotationSettings() {
+    const rotationSelect = this.uiManager.getElement("rotation-interval");
+
+    if (!rotationSelect) {
+      return;
+    }
+
+    try {
+      const data = await browser.storage.local.get("session_rotation_settings");
+      const settings = data.session_rotation_settings;
+
+      if (settings) {
+        rotationSelect.value = settings.enabled
+          ? String(settings.intervalMinutes)
+          : "off";
+      }
+    } catch (error) {
+      console.error("❌ Failed to load rotation settings:", error);
+    }
+
+    const geoAutoRotateBox = this.uiManager.getElement("geo-auto-rotate");
+
+    if (geoAutoRotateBox) {
+      try {
+        const data = await browser.storage.local.get("geo_mismatch_settings");
+        const settings = data.geo_mismatch_settings;
+        geoAutoRotateBox.checked = !!(settings && settings.autoRotate);
+      } catch (error) {
+        console.error("❌ Failed to load geo mismatch settings:", error);
+      }
+    }
+  }
+
+  /**
+   * Save whether mismatched sessions are rotated automatically
+   */
+  async handleGeoAutoRotateChange(event) {
+    try {
+      await browser.storage.local.set({
+        geo_mismatch_settings: { autoRotate: event.target.checked },
+      });
+      console.log(`✅ Geo mismatch auto-rotate: ${event.target.checked}`);
+    } catch (error) {
+      console.error("❌ Failed to save geo mismatch settings:", error);
+    }
+  }
+
+  /**
+   * Save the auto-rotate choice for the background scheduler
+   */
+  async handleRotationChange(event) {
+    const value = event.target.value;
+
+    try {
+      const data = await browser.storage.local.get("session_rotation_settings");
+      const settings = Object.assign(
+        { leadMinutes: 5 },
+        data.session_rotation_settings,
+        {
+          enabled: value !== "off",
+          intervalMinutes: value === "off" ? 0 : parseInt(value, 10),
+        }
+      );
+
+      await browser.storage.local.set({ session_rotation_settings: settings });
+      console.log(`✅ Session auto-rotate set to: ${value}`);
+    } catch (error) {
+      console.error("❌ Failed to save rotation settings:", error);
+    }
+  }
+
   /**
    * Load containers with caching
    */
@@ -252,22 +534,20 @@ class FireFoxyPopup {
 
       // Get applied statuses
       const appliedStatuses = {};
-      containers.forEach((container) => {
-        const status = this.containerService.getAppliedStatus(
+      for (const container of containers) {
+        const status = await this.containerService.getAppliedStatus(
           container.cookieStoreId
         );
         if (status) {
           appliedStatuses[container.cookieStoreId] = status;
         }
-      });
+      }
 
-      // Update UI
-      this.uiManager.updateContainerList(containers, appliedStatuses);
+      this.state.appliedStatuses = appliedStatuses;
+      await this.loadContainerStates(containers);
 
-      // Start timers for applied containers
-      Object.entries(appliedStatuses).forEach(([containerId, data]) => {
-        this.uiManager.startTimer(containerId, data.timestamp);
-      });
+      // Update UI
+      this.renderContainerList();
 
       // Hide loading
       if (loadingElement) loadingElement.style.display = "none";
@@ -290,6 +570,258 @@ class FireFoxyPopup {
     }
   }
 
+  /**
+   * Render the containers matching the search and filters, in sort order
+   */
+  renderContainerList() {
+    const containers = this.state.containers || [];
+    const visible = this.sortContainers(this.filterContainers(containers));
+
+    this.renderRegionFilter();
+
+    const count = this.uiManager.getElement("container-count");
+    if (count) {
+      count.textContent =
+        visible.length === containers.length
+          ? `${containers.length} containers`
+          : `${visible.length} of ${containers.length}`;
+    }
+
+    this.uiManager.updateContainerList(
+      this.groupContainers(visible),
+      this.state.appliedStatuses,
+      this.state.containerStates,
+      containers.length > 0
+        ? "No containers match the search and filters."
+        : undefined
+    );
+  }
+
+  /**
+   * Insert collapsible group headers once any container is tagged
+   * Containers are grouped by their first tag, untagged ones last
+   */
+  groupContainers(containers) {
+    if (this.tagService.getAllTags().length === 0) {
+      return containers;
+    }
+
+    const groups = new Map();
+    containers.forEach((container) => {
+      const name = this.tagService.getGroup(container.cookieStoreId) || "";
+      if (!groups.has(name)) {
+        groups.set(name, []);
+      }
+      groups.get(name).push(container);
+    });
+
+    const names = Array.from(groups.keys()).sort((a, b) =>
+      !a ? 1 : !b ? -1 : a.localeCompare(b)
+    );
+
+    return names.flatMap((name) => {
+      const members = groups.get(name);
+      const collapsed = this.tagService.isCollapsed(name);
+      const header = {
+        group: {
+          name,
+          label: name || "Untagged",
+          count: members.length,
+          collapsed,
+        },
+      };
+      return collapsed ? [header] : [header, ...members];
+    });
+  }
+
+  /**
+   * Keep containers matching the search text and every active filter
+   */
+  filterContainers(containers) {
+    const view = this.state.listView;
+    const query = view.query.trim().toLowerCase();
+
+    return containers.filter((container) => {
+      const id = container.cookieStoreId;
+      const state = this.state.containerStates[id] || {};
+      const route = state.route;
+
+      if (view.appliedOnly && !this.state.appliedStatuses[id]) {
+        return false;
+      }
+      if (view.hasProxy && !route) {
+        return false;
+      }
+      if (view.ipStale && !this.isIpStale(state)) {
+        return false;
+      }
+      if (view.region && (!route || route.region !== view.region)) {
+        return false;
+      }
+
+      if (!query) {
+        return true;
+      }
+
+      return [
+        container.name,
+        state.ipInfo && state.ipInfo.ip,
+        state.ipInfo && state.ipInfo.location,
+        route && route.title,
+        ...(state.tags || []),
+      ].some((value) => value && value.toLowerCase().includes(query));
+    });
+  }
+
+  /**
+   * A routed container's IP is stale when it was never looked up, was
+   * looked up before the current session, or over an hour ago
+   */
+  isIpStale(state) {
+    if (!state.route) {
+      return false;
+    }
+    if (!state.ipInfo) {
+      return true;
+    }
+
+    const checkedAt = Date.parse(state.ipInfo.timestamp);
+    return (
+      checkedAt < (state.route.issuedAt || 0) ||
+      Date.now() - checkedAt > 60 * 60 * 1000
+    );
+  }
+
+  /**
+   * Sort by name, oldest session first, or most recently used first
+   */
+  sortContainers(containers) {
+    const states = this.state.containerStates;
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    const issuedAt = (container) => {
+      const route = (states[container.cookieStoreId] || {}).route;
+      return route && route.issuedAt ? route.issuedAt : Infinity;
+    };
+    const lastUsed = (container) =>
+      (states[container.cookieStoreId] || {}).lastUsed || 0;
+
+    const compare = {
+      name: byName,
+      "session-age": (a, b) => issuedAt(a) - issuedAt(b) || byName(a, b),
+      "last-used": (a, b) => lastUsed(b) - lastUsed(a) || byName(a, b),
+    }[this.state.listView.sort];
+
+    return containers.slice().sort(compare || byName);
+  }
+
+  /**
+   * List the regions of routed containers in the region filter
+   */
+  renderRegionFilter() {
+    const select = this.uiManager.getElement("filter-region");
+    if (!select) {
+      return;
+    }
+
+    const regions = new Set();
+    Object.values(this.state.containerStates).forEach((state) => {
+      if (state.route && state.route.region) {
+        regions.add(state.route.region);
+      }
+    });
+
+    const selected = this.state.listView.region;
+    if (selected) {
+      regions.add(selected);
+    }
+
+    select.textContent = "";
+    select.appendChild(new Option("All regions", ""));
+    Array.from(regions)
+      .sort()
+      .forEach((region) => select.appendChild(new Option(region, region)));
+    select.value = selected;
+  }
+
+  /**
+   * Load per-container state kept by the background script
+   */
+  async loadContainerStates(containers) {
+    const containerStates = {};
+    containers.forEach((container) => {
+      containerStates[container.cookieStoreId] = {
+        killSwitch: false,
+        ipInfo: null,
+        route: null,
+        geoMismatch: null,
+        lastUsed: 0,
+        tags: [],
+        owned: false,
+      };
+    });
+    this.state.containerStates = containerStates;
+
+    try {
+      await Promise.all([this.tagService.load(), this.ownershipService.load()]);
+      Object.entries(containerStates).forEach(([containerId, state]) => {
+        state.tags = this.tagService.getTags(containerId);
+        state.owned = this.ownershipService.isOwned(containerId);
+      });
+    } catch (error) {
+      console.error("❌ Failed to load container tags:", error);
+    }
+
+    // Most recent tab access per container, for the "last used" sort
+    try {
+      const tabs = await browser.tabs.query({});
+      tabs.forEach((tab) => {
+        const state = containerStates[tab.cookieStoreId];
+        if (state && tab.lastAccessed > state.lastUsed) {
+          state.lastUsed = tab.lastAccessed;
+        }
+      });
+    } catch (error) {
+      console.error("❌ Failed to load container tab activity:", error);
+    }
+
+    try {
+      const ipKeys = containers.map(
+        (container) => `ip_${container.cookieStoreId}`
+      );
+      const [data] = await Promise.all([
+        browser.storage.local.get(["geo_mismatches", ...ipKeys]),
+        this.assignmentStore.load(),
+      ]);
+      const geoMismatches = data.geo_mismatches || {};
+
+      Object.entries(containerStates).forEach(([containerId, state]) => {
+        state.ipInfo = data[`ip_${containerId}`] || null;
+        state.route = this.assignmentStore.getRoute(containerId);
+        state.geoMismatch = geoMismatches[containerId] || null;
+      });
+    } catch (error) {
+      console.error("❌ Failed to load container IP records:", error);
+    }
+
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: "getKillSwitchContainers",
+      });
+
+      if (response && response.success) {
+        response.containers.forEach((containerId) => {
+          if (containerStates[containerId]) {
+            containerStates[containerId].killSwitch = true;
+          }
+        });
+      }
+    } catch (error) {
+      console.error("❌ Failed to load kill switch states:", error);
+    }
+
+    return containerStates;
+  }
+
   /**
    * Handle container service events
    */
@@ -299,18 +831,23 @@ class FireFoxyPopup {
       case "containerUpdated":
       case "containerDeleted":
         // Refresh container list
-        this.loadContainers();
+        if (!this.state.isProvisioning) {
+          this.loadContainers();
+        }
         break;
       case "appliedStatusChanged":
         // Update timer
         if (data.applied) {
-          const status = this.containerService.getAppliedStatus(
-            data.cookieStoreId
-          );
-          if (status) {
-            this.uiManager.startTimer(data.cookieStoreId, status.timestamp);
-          }
+          this.containerService
+            .getAppliedStatus(data.cookieStoreId)
+            .then((status) => {
+              if (status) {
+                this.state.appliedStatuses[data.cookieStoreId] = status;
+                this.uiManager.startTimer(data.cookieStoreId, status.timestamp);
+              }
+            });
         } else {
+          delete this.state.appliedStatuses[data.cookieStoreId];
           this.uiManager.stopTimer(data.cookieStoreId);
         }
         break;
@@ -349,8 +886,17 @@ class FireFoxyPopup {
         statusElement.innerHTML = "Saving credentials...";
       }
 
-      await this.credentialService.saveCredentials(username, password);
-      this.state.credentials = { username, password };
+      const providerSelect = this.uiManager.getElement("proxy-provider");
+      const provider = providerSelect
+        ? providerSelect.value
+        : ProviderAdapter.defaultId;
+
+      await this.credentialService.saveCredentials(
+        username,
+        password,
+        provider
+      );
+      this.state.credentials = { username, password, provider };
 
       // Update proxy generator credentials
       if (this.proxyGenerator) {
@@ -446,29 +992,33 @@ class FireFoxyPopup {
       const generateBtn = this.uiManager.getElement("generate-proxies-btn");
       if (generateBtn) generateBtn.disabled = true;
 
-      // Get configuration options
-      const proxyCountSelect = this.uiManager.getElement("proxy-count");
-      const proxyRegionSelect = this.uiManager.getElement("proxy-region");
-
-      const proxyCount = proxyCountSelect
-        ? parseInt(proxyCountSelect.value)
-        : 10;
-      const region = proxyRegionSelect ? proxyRegionSelect.value : "US";
-
-      // Update generator configuration
-      this.proxyGenerator.config.proxyCount = proxyCount;
-      this.proxyGenerator.config.region = region;
-      this.proxyGenerator.credentials.username =
-        this.state.credentials.username;
-      this.proxyGenerator.credentials.password =
-        this.state.credentials.password;
+      this.applyGeneratorSettings();
 
       // Generate configuration
-      const config = this.proxyGenerator.generateFullConfig();
+      const options = await this.getConfigOptions();
+      const config = this.proxyGenerator.generateFullConfig(options);
       if (config) {
+        this.state.generatedConfig = config;
+        await this.saveGeneratedSession();
+        this.state.containerEntries = this.proxyGenerator.pairContainers(
+          options.containers || [],
+          config.data
+        );
+        this.state.healthResults = [];
+        this.renderHealthResults([]);
+
+        let summary = `Generated ${config.data.length} proxy configurations`;
+
+        const healthCheckBox = this.uiManager.getElement("health-check");
+        if (healthCheckBox && healthCheckBox.checked) {
+          const results = await this.checkProxyHealth(config);
+          const alive = results.filter((result) => result.alive).length;
+          summary += `, ${alive} alive`;
+        }
+
         const successMsg = document.getElementById("generation-status");
         if (successMsg) {
-          successMsg.textContent = `Generated ${proxyCount} proxy configurations`;
+          successMsg.textContent = summary;
           successMsg.style.display = "block";
           setTimeout(() => (successMsg.style.display = "none"), 5000);
         }
@@ -498,112 +1048,360 @@ class FireFoxyPopup {
   }
 
   /**
-   * Handle config download
+   * Probe every generated entry through the background health checker
    */
-  async handleDownloadConfig(event) {
-    event.preventDefault();
-
-    if (!this.proxyGenerator || !this.proxyGenerator.config) {
-      const errorMsg = document.getElementById("generation-error");
-      if (errorMsg) {
-        errorMsg.textContent =
-          "No configuration available. Generate proxies first.";
-        errorMsg.style.display = "block";
-        setTimeout(() => (errorMsg.style.display = "none"), 5000);
-      }
-      return;
+  async checkProxyHealth(config) {
+    const statusMsg = document.getElementById("generation-status");
+    if (statusMsg) {
+      statusMsg.textContent = `Checking ${config.data.length} proxies...`;
+      statusMsg.style.display = "block";
     }
 
-    try {
-      this.proxyGenerator.downloadConfig();
-      const successMsg = document.getElementById("generation-status");
-      if (successMsg) {
-        successMsg.textContent = "Configuration downloaded successfully";
-        successMsg.style.display = "block";
-        setTimeout(() => (successMsg.style.display = "none"), 5000);
-      }
-      console.log("✅ Configuration downloaded");
-    } catch (error) {
-      console.error("❌ Failed to download config:", error);
-      const errorMsg = document.getElementById("generation-error");
-      if (errorMsg) {
-        errorMsg.textContent = "Failed to download configuration";
-        errorMsg.style.display = "block";
-        setTimeout(() => (errorMsg.style.display = "none"), 5000);
-      }
+    const response = await browser.runtime.sendMessage({
+      action: "checkProxyHealth",
+      entries: config.data,
+    });
+
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || "Health check failed");
     }
+
+    this.state.healthResults = response.results;
+    this.renderHealthResults(response.results);
+    return response.results;
   }
 
   /**
-   * Generate a random container name
+   * Show health check results as a table below the generator
    */
-  generateRandomContainerName() {
-    const adjectives = [
-      "Swift",
-      "Silent",
-      "Mystic",
-      "Blazing",
-      "Crystal",
-      "Thunder",
-      "Shadow",
-      "Golden",
-      "Crimson",
-      "Azure",
-      "Emerald",
-      "Silver",
-      "Midnight",
-      "Dawn",
-      "Storm",
-      "Frozen",
-      "Neon",
-      "Cosmic",
-      "Electric",
-      "Stealth",
-      "Phantom",
-      "Velocity",
-      "Quantum",
-      "Cyber",
-    ];
+  renderHealthResults(results) {
+    const container = this.uiManager.getElement("health-results");
+    if (!container) {
+      return;
+    }
 
-    const nouns = [
-      "Fox",
-      "Wolf",
-      "Eagle",
-      "Dragon",
-      "Phoenix",
-      "Tiger",
-      "Panther",
-      "Falcon",
-      "Shark",
-      "Lightning",
-      "Comet",
-      "Galaxy",
-      "Nova",
-      "Blade",
-      "Arrow",
-      "Shield",
-      "Proxy",
-      "Tunnel",
-      "Bridge",
-      "Portal",
-      "Gateway",
-      "Node",
-      "Server",
-      "Hub",
-    ];
+    const tbody = container.querySelector("tbody");
+    tbody.textContent = "";
+
+    results.forEach((result) => {
+      const row = this.uiManager.createElement("tr", {
+        className: result.alive ? "alive" : "dead",
+      });
 
-    const randomAdjective =
-      adjectives[Math.floor(Math.random() * adjectives.length)];
-    const randomNoun = nouns[Math.floor(Math.random() * nouns.length)];
-    const randomNumber = Math.floor(Math.random() * 999) + 1;
+      [
+        result.title,
+        result.alive ? "✅ Alive" : `❌ ${result.error || "Dead"}`,
+        result.latency !== null ? `${result.latency} ms` : "—",
+        result.ip || "—",
+      ].forEach((value) => {
+        row.appendChild(this.uiManager.createElement("td", {}, value));
+      });
+
+      tbody.appendChild(row);
+    });
 
-    return `${randomAdjective} ${randomNoun} ${randomNumber}`;
+    container.style.display = results.length > 0 ? "block" : "none";
   }
 
   /**
-   * Generate random container color
+   * Get the generated config without entries that failed the health check
    */
-  generateRandomContainerColor() {
+  getDownloadConfig() {
+    const config = this.state.generatedConfig;
+    if (!config) {
+      return null;
+    }
+
+    const deadIds = this.state.healthResults
+      .filter((result) => !result.alive)
+      .map((result) => result.id);
+
+    if (deadIds.length === 0) {
+      return config;
+    }
+
+    if (deadIds.length === config.data.length) {
+      throw new Error("No working proxies to download");
+    }
+
+    return this.proxyGenerator.removeEntries(
+      config,
+      deadIds,
+      this.state.containerEntries
+    );
+  }
+
+  /**
+   * Copy form options and saved credentials into the proxy generator
+   */
+  applyGeneratorSettings() {
+    const proxyCountSelect = this.uiManager.getElement("proxy-count");
+    const proxyRegionSelect = this.uiManager.getElement("proxy-region");
+    const proxyTypeSelect = this.uiManager.getElement("proxy-type");
+    const sessionModeSelect = this.uiManager.getElement("session-mode");
+    const sessionTimeSelect = this.uiManager.getElement("session-time");
+    const stateInput = this.uiManager.getElement("proxy-state");
+    const cityInput = this.uiManager.getElement("proxy-city");
+    const asnInput = this.uiManager.getElement("proxy-asn");
+
+    const proxyCount = proxyCountSelect ? parseInt(proxyCountSelect.value) : 10;
+    const regions = this.getSelectedRegions();
+    const region = regions[0];
+    const proxyType = proxyTypeSelect ? proxyTypeSelect.value : "socks5";
+    const sessionMode = sessionModeSelect ? sessionModeSelect.value : "sticky";
+    const sessionTime = sessionTimeSelect
+      ? parseInt(sessionTimeSelect.value, 10)
+      : 120;
+
+    const provider = this.getProviderId();
+    if (this.proxyGenerator.config.provider !== provider) {
+      this.proxyGenerator.setProvider(provider);
+    }
+
+    this.proxyGenerator.config.proxyCount = proxyCount;
+    this.proxyGenerator.config.region = region;
+    this.proxyGenerator.config.regions = regions.length > 1 ? regions : [];
+    this.proxyGenerator.config.gateways =
+      this.endpointRegistry.getGatewayTable();
+    this.proxyGenerator.config.proxyType = proxyType;
+    this.proxyGenerator.config.sessionMode = sessionMode;
+    this.proxyGenerator.config.sessionTime = sessionTime;
+    this.proxyGenerator.config.state = stateInput
+      ? stateInput.value.trim()
+      : "";
+    this.proxyGenerator.config.city = cityInput ? cityInput.value.trim() : "";
+    this.proxyGenerator.config.asn = asnInput ? asnInput.value.trim() : "";
+    this.proxyGenerator.credentials.username = this.state.credentials.username;
+    this.proxyGenerator.credentials.password = this.state.credentials.password;
+
+    return {
+      proxyCount,
+      region,
+      regions,
+      proxyType,
+      sessionMode,
+      sessionTime,
+    };
+  }
+
+  /**
+   * Get the provider of the saved credential profile
+   */
+  getProviderId() {
+    return (
+      (this.state.credentials && this.state.credentials.provider) ||
+      ProviderAdapter.defaultId
+    );
+  }
+
+  /**
+   * List registered provider adapters in the credentials form
+   */
+  populateProviders() {
+    const providerSelect = this.uiManager.getElement("proxy-provider");
+    if (!providerSelect) {
+      return;
+    }
+
+    providerSelect.textContent = "";
+    ProviderAdapter.list().forEach(({ id, name }) => {
+      const option = this.uiManager.createElement(
+        "option",
+        { value: id },
+        name
+      );
+      option.selected = id === this.getProviderId();
+      providerSelect.appendChild(option);
+    });
+  }
+
+  /**
+   * Load the chosen provider's gateways; it is saved with the credentials
+   */
+  async handleProviderChange(event) {
+    try {
+      await this.endpointRegistry.setProvider(event.target.value);
+    } catch (error) {
+      console.error("❌ Failed to switch provider:", error);
+    }
+  }
+
+  /**
+   * Load gateway overrides and list every region the registry serves
+   */
+  async loadEndpoints() {
+    this.populateProviders();
+    await this.endpointRegistry.setProvider(this.getProviderId());
+
+    const proxyRegionSelect = this.uiManager.getElement("proxy-region");
+    if (!proxyRegionSelect) {
+      return;
+    }
+
+    proxyRegionSelect.textContent = "";
+    this.endpointRegistry.getCountries().forEach(({ code, name }) => {
+      const option = this.uiManager.createElement(
+        "option",
+        { value: code },
+        name
+      );
+      option.selected = code === "US";
+      proxyRegionSelect.appendChild(option);
+    });
+  }
+
+  /**
+   * Get the selected region codes in the order they were picked
+   * selectedOptions is in list order, so the pick order is kept in state
+   */
+  getSelectedRegions() {
+    const proxyRegionSelect = this.uiManager.getElement("proxy-region");
+
+    if (!proxyRegionSelect) {
+      return ["US"];
+    }
+
+    const selected = Array.from(proxyRegionSelect.selectedOptions).map(
+      (option) => option.value
+    );
+    const kept = this.state.regionOrder.filter((region) =>
+      selected.includes(region)
+    );
+    this.state.regionOrder = kept.concat(
+      selected.filter((region) => !kept.includes(region))
+    );
+
+    return this.state.regionOrder.length > 0
+      ? this.state.regionOrder.slice()
+      : ["US"];
+  }
+
+  /**
+   * Fill the state and city pickers for the primary region
+   */
+  populateGeoPickers() {
+    const region = this.getSelectedRegions()[0];
+
+    const primaryRegion = this.uiManager.getElement("primary-region");
+    if (primaryRegion) {
+      const country = this.endpointRegistry
+        .getCountries()
+        .find(({ code }) => code === region);
+      primaryRegion.textContent = `Primary: ${country ? country.name : region}`;
+    }
+
+    this.geoTargetService.fillDatalist(
+      this.uiManager.getElement("proxy-state-options"),
+      this.geoTargetService.getStates(region)
+    );
+    this.populateCityPicker();
+  }
+
+  /**
+   * Narrow the city picker to the chosen state
+   */
+  populateCityPicker() {
+    const stateInput = this.uiManager.getElement("proxy-state");
+
+    this.geoTargetService.fillDatalist(
+      this.uiManager.getElement("proxy-city-options"),
+      this.geoTargetService.getCities(
+        this.getSelectedRegions()[0],
+        stateInput ? stateInput.value : ""
+      )
+    );
+  }
+
+  /**
+   * Lifetime only applies to sticky sessions
+   */
+  handleSessionModeChange(event) {
+    const sessionTimeSelect = this.uiManager.getElement("session-time");
+
+    if (sessionTimeSelect) {
+      sessionTimeSelect.disabled = event.target.value === "rotating";
+    }
+  }
+
+  /**
+   * Build generateFullConfig options from the form
+   */
+  async getConfigOptions() {
+    const mapContainers = this.uiManager.getElement("map-containers");
+
+    if (!mapContainers || !mapContainers.checked) {
+      return {};
+    }
+
+    // Use the live container list so the map matches FoxyProxy's view, and
+    // leave the user's own containers (Work, Banking, ...) alone
+    await this.ownershipService.load();
+    const containers = this.ownershipService.scope(
+      await this.containerService.getContainers(true)
+    );
+    return { containers };
+  }
+
+  /**
+   * Handle config download
+   */
+  async handleDownloadConfig(event) {
+    event.preventDefault();
+
+    if (!this.proxyGenerator || !this.proxyGenerator.config) {
+      const errorMsg = document.getElementById("generation-error");
+      if (errorMsg) {
+        errorMsg.textContent =
+          "No configuration available. Generate proxies first.";
+        errorMsg.style.display = "block";
+        setTimeout(() => (errorMsg.style.display = "none"), 5000);
+      }
+      return;
+    }
+
+    try {
+      let config = this.getDownloadConfig();
+      if (!config) {
+        const options = await this.getConfigOptions();
+        config = this.proxyGenerator.generateFullConfig(options);
+        this.state.containerEntries = this.proxyGenerator.pairContainers(
+          options.containers || [],
+          config.data
+        );
+      }
+
+      this.proxyGenerator.downloadConfig({ config });
+
+      const successMsg = document.getElementById("generation-status");
+      if (successMsg) {
+        successMsg.textContent = "Configuration downloaded successfully";
+        successMsg.style.display = "block";
+        setTimeout(() => (successMsg.style.display = "none"), 5000);
+      }
+      console.log("✅ Configuration downloaded");
+    } catch (error) {
+      console.error("❌ Failed to download config:", error);
+      const errorMsg = document.getElementById("generation-error");
+      if (errorMsg) {
+        errorMsg.textContent =
+          error.message || "Failed to download configuration";
+        errorMsg.style.display = "block";
+        setTimeout(() => (errorMsg.style.display = "none"), 5000);
+      }
+    }
+  }
+
+  /**
+   * Generate a random container name
+   */
+  generateRandomContainerName() {
+    return this.ownershipService.generateName();
+  }
+
+  /**
+   * Generate random container color
+   */
+  generateRandomContainerColor() {
     const colors = [
       "blue",
       "turquoise",
@@ -671,31 +1469,192 @@ class FireFoxyPopup {
     }
   }
 
+  /**
+   * Create N containers, each bound to its own new proxy session
+   */
+  async handleProvisionIdentities(event) {
+    event.preventDefault();
+
+    if (this.state.isProvisioning) {
+      return;
+    }
+
+    const countInput = this.uiManager.getElement("provision-count");
+    const openTabsBox = this.uiManager.getElement("provision-open-tabs");
+    const provisionBtn = this.uiManager.getElement("provision-btn");
+    const count = Math.max(
+      1,
+      Math.min(20, parseInt(countInput ? countInput.value : 5, 10) || 5)
+    );
+    const openTabs = !!(openTabsBox && openTabsBox.checked);
+
+    if (!this.state.credentials) {
+      this.showProvisionStatus("Please save credentials first", "error");
+      return;
+    }
+
+    const provisioned = [];
+    const failures = [];
+    const usedNames = new Set(this.state.containers.map((c) => c.name));
+    const firstIndex = this.state.containers.length;
+
+    try {
+      this.state.isProvisioning = true;
+      if (provisionBtn) provisionBtn.disabled = true;
+
+      this.applyGeneratorSettings();
+
+      for (let i = 0; i < count; i++) {
+        this.showProvisionStatus(
+          `Provisioning identity ${i + 1} of ${count}...`,
+          "loading"
+        );
+
+        let name = this.generateRandomContainerName();
+        while (usedNames.has(name)) {
+          name = this.generateRandomContainerName();
+        }
+        usedNames.add(name);
+
+        let container = null;
+        try {
+          container = await this.containerService.createContainer(
+            name,
+            this.generateRandomContainerColor(),
+            this.generateRandomContainerIcon()
+          );
+          await this.bindProxy(container.cookieStoreId, firstIndex + i);
+          provisioned.push(container);
+        } catch (error) {
+          console.error(`❌ Failed to provision "${name}":`, error);
+          failures.push({ name, created: !!container, error: error.message });
+        }
+      }
+
+      // Background tabs so the popup stays open while they load
+      if (openTabs) {
+        for (const container of provisioned) {
+          try {
+            await this.containerService.openInContainer(
+              container.cookieStoreId,
+              undefined,
+              false
+            );
+          } catch (error) {
+            failures.push({
+              name: container.name,
+              created: true,
+              error: `IP check tab: ${error.message}`,
+            });
+          }
+        }
+      }
+    } catch (error) {
+      console.error("❌ Failed to provision identities:", error);
+      this.showProvisionStatus(error.message, "error");
+      return;
+    } finally {
+      this.state.isProvisioning = false;
+      if (provisionBtn) provisionBtn.disabled = false;
+      await this.loadContainers();
+    }
+
+    this.showProvisionSummary(count, provisioned, failures);
+  }
+
+  /**
+   * Show provisioning progress or an error under the provision button
+   */
+  showProvisionStatus(message, type) {
+    const statusElement = this.uiManager.getElement("provision-status");
+    if (!statusElement) {
+      return;
+    }
+
+    statusElement.className = `status-message ${type}`;
+    statusElement.textContent = message;
+    statusElement.style.display = "block";
+  }
+
+  /**
+   * Summarize a provisioning run, listing each failure
+   */
+  showProvisionSummary(count, provisioned, failures) {
+    const statusElement = this.uiManager.getElement("provision-status");
+    if (!statusElement) {
+      return;
+    }
+
+    this.showProvisionStatus(
+      `Provisioned ${provisioned.length} of ${count} identities`,
+      failures.length === 0 ? "success" : "warning"
+    );
+
+    if (failures.length > 0) {
+      const list = this.uiManager.createElement("ul", {
+        className: "provision-failures",
+      });
+      failures.forEach((failure) => {
+        list.appendChild(
+          this.uiManager.createElement(
+            "li",
+            {},
+            `${failure.name}${failure.created ? " (container created)" : ""}: ${
+              failure.error
+            }`
+          )
+        );
+      });
+      statusElement.appendChild(list);
+    }
+
+    console.log(
+      `✅ Provisioned ${provisioned.length}/${count} identities, ${failures.length} failures`
+    );
+  }
+
   /**
    * Handle delete all containers
    */
   async handleDeleteAllContainers(event) {
     event.preventDefault();
 
+    const containers = this.ownershipService.scope(
+      this.state.containers,
+      this.state.includeForeign
+    );
+    const skipped = this.state.containers.length - containers.length;
+
+    if (containers.length === 0) {
+      alert(
+        "FireFoxy does not manage any containers. Adopt a container, or tick the option to include containers not managed by FireFoxy."
+      );
+      return;
+    }
+
     if (
       !confirm(
-        "Are you sure you want to delete ALL containers? This action cannot be undone."
+        `Are you sure you want to delete ${
+          this.state.includeForeign
+            ? "ALL containers, including ones FireFoxy does not manage"
+            : `all ${containers.length} FireFoxy containers${
+                skipped > 0 ? ` (${skipped} others are kept)` : ""
+              }`
+        }? They can be restored from the trash until the retention window ends.`
       )
     ) {
       return;
     }
 
     try {
-      // Clear all applied statuses first to prevent issues
-      this.containerService.clearAllAppliedStatuses();
-
-      // Delete all containers
-      const deletePromises = this.state.containers.map((container) =>
+      // Delete the containers; each is snapshotted with its applied status
+      // and assignment before deleteContainer clears them
+      const deletePromises = containers.map((container) =>
         this.containerService.deleteContainer(container.cookieStoreId)
       );
 
       await Promise.all(deletePromises);
-      console.log("✅ All containers deleted");
+      console.log(`✅ Deleted ${containers.length} containers`);
     } catch (error) {
       console.error("❌ Failed to delete containers:", error);
     }
@@ -712,6 +1671,14 @@ class FireFoxyPopup {
       target.dataset.containerId ||
       target.closest("[data-container-id]")?.dataset.containerId;
 
+    // Group headers carry the group name instead of a container
+    const groupHeader = target.closest("[data-group]");
+    if (action && action.startsWith("group-") && groupHeader) {
+      event.preventDefault();
+      await this.handleGroupAction(action, groupHeader.dataset.group);
+      return;
+    }
+
     if (!action || !containerId) {
       return;
     }
@@ -753,6 +1720,49 @@ class FireFoxyPopup {
           }
           break;
 
+        case "assign-proxy":
+          await this.handleAssignProxy(containerId);
+
+          if (button) {
+            button.classList.add("btn-success-flash");
+            setTimeout(() => {
+              button.classList.remove("btn-success-flash");
+            }, 1000);
+          }
+          break;
+
+        case "toggle-kill-switch":
+          await this.handleToggleKillSwitch(containerId, button);
+          break;
+
+        case "rotate-session":
+          await this.handleRotateSession(containerId);
+          break;
+
+        case "refresh-ip":
+          await this.handleRefreshIp(containerId);
+          break;
+
+        case "toggle-ip-history":
+          await this.handleToggleIpHistory(containerId, button);
+          break;
+
+        case "export-ip-history":
+          await this.handleExportIpHistory(containerId);
+          break;
+
+        case "reset-identity":
+          await this.handleResetIdentity(containerId);
+          break;
+
+        case "adopt":
+          await this.handleAdoptContainer(containerId);
+          break;
+
+        case "edit-tags":
+          await this.handleEditTags(containerId);
+          break;
+
         case "rename":
           await this.handleRenameContainer(containerId);
           break;
@@ -785,10 +1795,32 @@ class FireFoxyPopup {
     }
   }
 
+  /**
+   * Remember the session settings and time of the last generated config,
+   * so containers marked Applied later know when their session expires
+   */
+  async saveGeneratedSession() {
+    await browser.storage.local.set({
+      generated_session: {
+        generatedAt: Date.now(),
+        sessionMode: this.proxyGenerator.config.sessionMode,
+        sessionTime: this.proxyGenerator.getSessionTime(),
+      },
+    });
+  }
+
+  /**
+   * Get the session of the last generated config, or null
+   */
+  async getGeneratedSession() {
+    const data = await browser.storage.local.get("generated_session");
+    return data.generated_session || null;
+  }
+
   /**
    * Handle applied status toggle
    */
-  handleAppliedToggle(event) {
+  async handleAppliedToggle(event) {
     const target = event.target;
 
     if (!target.classList.contains("container-applied")) {
@@ -797,28 +1829,621 @@ class FireFoxyPopup {
 
     const containerId = target.dataset.containerId;
     const isApplied = target.checked;
+    const session = isApplied ? await this.getGeneratedSession() : null;
 
-    this.containerService.setAppliedStatus(containerId, isApplied);
+    await this.containerService.setAppliedStatus(
+      containerId,
+      isApplied,
+      session
+    );
     console.log(`✅ Container ${containerId} applied status: ${isApplied}`);
   }
 
   /**
-   * Handle rename container
+   * Route a container through a freshly generated proxy session
    */
-  async handleRenameContainer(containerId) {
-    const container = this.state.containers.find(
+  async handleAssignProxy(containerId) {
+    if (!this.state.credentials) {
+      throw new Error("Please save credentials first");
+    }
+
+    if (!this.proxyGenerator) {
+      throw new Error("Proxy generator not available");
+    }
+
+    const index = this.state.containers.findIndex(
       (c) => c.cookieStoreId === containerId
     );
 
-    if (!container) {
-      return;
+    if (index === -1) {
+      throw new Error(`Container with ID ${containerId} not found`);
     }
 
-    const newName = prompt("Enter new container name:", container.name);
+    this.applyGeneratorSettings();
+    return await this.bindProxy(containerId, index);
+  }
 
-    if (!newName || newName.trim() === container.name) {
-      return;
-    }
+  /**
+   * Route the containers of the generated config through their own entries
+   * after confirming, replacing their current sessions
+   */
+  async handleRouteContainers(event) {
+    event.preventDefault();
+
+    const errorMsg = document.getElementById("generation-error");
+    const statusMsg = document.getElementById("generation-status");
+
+    try {
+      const config = this.getDownloadConfig();
+      const count = Object.keys(this.state.containerEntries).length;
+
+      if (!config || count === 0) {
+        throw new Error(
+          'Generate proxies with "One proxy per FireFoxy container" first'
+        );
+      }
+
+      if (
+        !confirm(
+          `Route ${count} containers through their own entries of the generated config?\n\nTheir current proxy sessions are replaced.`
+        )
+      ) {
+        return;
+      }
+
+      const routed = await this.routeContainerEntries(config);
+      if (statusMsg) {
+        statusMsg.textContent = `${routed} containers routed to their own session`;
+        statusMsg.style.display = "block";
+        setTimeout(() => (statusMsg.style.display = "none"), 5000);
+      }
+    } catch (error) {
+      console.error("❌ Failed to route containers:", error);
+      if (errorMsg) {
+        errorMsg.textContent = error.message || "Failed to route containers";
+        errorMsg.style.display = "block";
+        setTimeout(() => (errorMsg.style.display = "none"), 5000);
+      }
+    }
+  }
+
+  /**
+   * Route every paired container of a config through its own entry
+   * FoxyProxy's container map cannot tell entries on one gateway apart
+   * (see FoxyProxyGenerator.buildContainerMap), so FireFoxy routes them
+   */
+  async routeContainerEntries(config) {
+    let routed = 0;
+
+    for (const [containerId, entryId] of Object.entries(
+      this.state.containerEntries
+    )) {
+      const proxy = config.data.find((entry) => entry.id === entryId);
+      if (!proxy) {
+        continue;
+      }
+
+      try {
+        await this.routeContainer(containerId, proxy);
+        routed++;
+      } catch (error) {
+        console.error(`❌ Failed to route ${containerId}:`, error);
+      }
+    }
+
+    return routed;
+  }
+
+  /**
+   * Generate one proxy session and route a container through it
+   * Expects applyGeneratorSettings to have run
+   */
+  async bindProxy(containerId, index) {
+    return await this.routeContainer(
+      containerId,
+      this.proxyGenerator.generateProxyConfig(index)
+    );
+  }
+
+  /**
+   * Route a container through a generated entry in the background
+   */
+  async routeContainer(containerId, proxy) {
+    const response = await browser.runtime.sendMessage({
+      action: "assignContainerProxy",
+      containerId,
+      proxy,
+      provider: this.proxyGenerator.config.provider,
+    });
+
+    if (!response || !response.success) {
+      throw new Error(
+        (response && response.error) || "Failed to assign proxy to container"
+      );
+    }
+
+    console.log(
+      `✅ Container ${containerId} routed through "${response.route.title}"`
+    );
+    return response.route;
+  }
+
+  /**
+   * Toggle the kill switch that blocks traffic when a container's proxy fails
+   */
+  async handleToggleKillSwitch(containerId, button) {
+    const enabled = !(button && button.classList.contains("active"));
+
+    const response = await browser.runtime.sendMessage({
+      action: "setKillSwitch",
+      containerId,
+      enabled,
+    });
+
+    if (!response || !response.success) {
+      throw new Error(
+        (response && response.error) || "Failed to update kill switch"
+      );
+    }
+
+    if (button) {
+      button.classList.toggle("active", enabled);
+      button.title = enabled ? "Kill Switch: On" : "Kill Switch: Off";
+    }
+
+    console.log(`✅ Container ${containerId} kill switch: ${enabled}`);
+  }
+
+  /**
+   * Give a container a fresh sticky session
+   */
+  async handleRotateSession(containerId) {
+    const response = await browser.runtime.sendMessage({
+      action: "rotateContainerSession",
+      containerId,
+    });
+
+    if (!response || !response.success) {
+      throw new Error(
+        (response && response.error) || "Failed to rotate session"
+      );
+    }
+
+    console.log(`✅ Rotated session for container ${containerId}`);
+  }
+
+  /**
+   * Wipe a container's site data and start it on a new session
+   */
+  async handleResetIdentity(containerId) {
+    const container = this.state.containers.find(
+      (c) => c.cookieStoreId === containerId
+    );
+    const state = (this.state.containerStates || {})[containerId] || {};
+    const route = state.route;
+
+    const erased = [
+      "All cookies in this container",
+      "localStorage, IndexedDB and service workers of every site in this container",
+      route && route.sessionId
+        ? "The current proxy session and its exit IP (a new session is issued)"
+        : null,
+    ].filter(Boolean);
+
+    const choice = await this.confirmResetIdentity(
+      container ? container.name : containerId,
+      erased
+    );
+    if (!choice) {
+      return;
+    }
+
+    const response = await browser.runtime.sendMessage({
+      action: "resetContainerIdentity",
+      containerId,
+      clearCache: choice.clearCache,
+    });
+
+    if (!response || !response.success) {
+      throw new Error(
+        (response && response.error) || "Failed to reset identity"
+      );
+    }
+
+    console.log(
+      `✅ Reset identity of ${containerId}: ${
+        response.cookies
+      } cookies removed, session ${response.rotated ? "rotated" : "unchanged"}`
+    );
+  }
+
+  /**
+   * Ask to confirm a reset, with clearing the shared HTTP cache opt-in
+   * Resolves to { clearCache } or null when cancelled
+   */
+  confirmResetIdentity(name, erased) {
+    const dialog = this.uiManager.getElement("reset-identity-dialog");
+    const list = this.uiManager.getElement("reset-identity-erased");
+    const clearCache = this.uiManager.getElement("reset-clear-cache");
+
+    this.uiManager.getElement(
+      "reset-identity-title"
+    ).textContent = `Reset the identity of "${name}"?`;
+    list.textContent = "";
+    erased.forEach((item) =>
+      list.appendChild(this.uiManager.createElement("li", {}, item))
+    );
+    clearCache.checked = false;
+
+    return new Promise((resolve) => {
+      dialog.addEventListener(
+        "close",
+        () =>
+          resolve(
+            dialog.returnValue === "confirm"
+              ? { clearCache: clearCache.checked }
+              : null
+          ),
+        { once: true }
+      );
+      dialog.returnValue = "";
+      dialog.showModal();
+    });
+  }
+
+  /**
+   * Look up a container's exit IP through its proxy now
+   * The status strip updates from the storage change that follows
+   */
+  async handleRefreshIp(containerId) {
+    const response = await browser.runtime.sendMessage({
+      action: "refreshContainerIP",
+      containerId,
+    });
+
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || "Failed to refresh IP");
+    }
+
+    console.log(`✅ Container ${containerId} exit IP: ${response.ipInfo.ip}`);
+  }
+
+  /**
+   * Update a card's status strip when its route changes
+   */
+  handleRouteChange(containerId, assignment) {
+    const state = (this.state.containerStates || {})[containerId];
+    if (!state) {
+      return;
+    }
+
+    state.route = (assignment && assignment.route) || null;
+    this.uiManager.updateStatusStrip(containerId, state);
+  }
+
+  /**
+   * Update card status strips when IP records or mismatches change
+   */
+  handleStatusChanges(changes) {
+    const containerStates = this.state.containerStates || {};
+    const geoMismatches = changes.geo_mismatches
+      ? changes.geo_mismatches.newValue || {}
+      : null;
+
+    Object.entries(containerStates).forEach(([containerId, state]) => {
+      const ipChange = changes[`ip_${containerId}`];
+
+      if (!ipChange && !geoMismatches) {
+        return;
+      }
+
+      if (ipChange) {
+        state.ipInfo = ipChange.newValue || null;
+      }
+      if (geoMismatches) {
+        state.geoMismatch = geoMismatches[containerId] || null;
+      }
+
+      this.uiManager.updateStatusStrip(containerId, state);
+    });
+  }
+
+  /**
+   * Expand or collapse a container's IP history timeline
+   */
+  async handleToggleIpHistory(containerId, button) {
+    const card = button && button.closest(".container-item");
+    const timeline = card && card.querySelector(".ip-timeline");
+    if (!timeline) {
+      return;
+    }
+
+    if (timeline.style.display !== "none") {
+      timeline.style.display = "none";
+      button.classList.remove("active");
+      return;
+    }
+
+    const history = await this.ipLookupService.getHistory(containerId);
+    this.uiManager.renderIpTimeline(timeline, history);
+    timeline.style.display = "block";
+    button.classList.add("active");
+  }
+
+  /**
+   * Download a container's IP history as CSV
+   */
+  async handleExportIpHistory(containerId) {
+    const history = await this.ipLookupService.getHistory(containerId);
+    if (history.length === 0) {
+      throw new Error("No IP history to export");
+    }
+
+    const container = this.state.containers.find(
+      (c) => c.cookieStoreId === containerId
+    );
+    const name = container ? container.name : containerId;
+    const csv = this.ipLookupService.historyToCsv(history, name);
+
+    const blob = new Blob([csv], { type: "text/csv;charset=utf-8" });
+    const url = URL.createObjectURL(blob);
+    const downloadLink = document.createElement("a");
+    downloadLink.href = url;
+    downloadLink.download = `ip-history-${name.replace(
+      /[^a-z0-9-]+/gi,
+      "-"
+    )}-${new Date().toISOString().slice(0, 10)}.csv`;
+    downloadLink.style.display = "none";
+
+    document.body.appendChild(downloadLink);
+    downloadLink.click();
+
+    setTimeout(() => {
+      document.body.removeChild(downloadLink);
+      URL.revokeObjectURL(url);
+    }, 100);
+
+    console.log(`✅ Exported IP history for ${name}`);
+  }
+
+  /**
+   * Load deleted container snapshots into the trash panel
+   */
+  async loadTrash() {
+    try {
+      this.renderTrash(await this.trashService.list());
+    } catch (error) {
+      console.error("❌ Failed to load container trash:", error);
+    }
+  }
+
+  /**
+   * Show one row per trashed container with restore and delete buttons
+   */
+  renderTrash(entries) {
+    const count = this.uiManager.getElement("trash-count");
+    if (count) {
+      count.textContent = String(entries.length);
+    }
+
+    const trashList = this.uiManager.getElement("trash-list");
+    if (!trashList) {
+      return;
+    }
+
+    trashList.textContent = "";
+
+    if (entries.length === 0) {
+      trashList.appendChild(
+        this.uiManager.createElement(
+          "div",
+          { className: "empty-message" },
+          "The trash is empty."
+        )
+      );
+      return;
+    }
+
+    entries.forEach((entry) => {
+      const row = this.uiManager.createElement("div", {
+        className: "trash-item",
+      });
+      const route = entry.assignment && entry.assignment.route;
+      const details = [
+        `deleted ${this.uiManager.formatAge(entry.deletedAt)} ago`,
+        `${entry.tabs.length} tab${entry.tabs.length === 1 ? "" : "s"}`,
+        route ? route.title : "no proxy",
+        entry.tags.length > 0 ? entry.tags.join(", ") : null,
+      ].filter(Boolean);
+
+      const info = this.uiManager.createElement("div", {
+        className: "trash-item-info",
+      });
+      info.appendChild(
+        this.uiManager.createElement(
+          "span",
+          { className: "trash-item-name" },
+          entry.name
+        )
+      );
+      info.appendChild(
+        this.uiManager.createElement(
+          "span",
+          {
+            className: "trash-item-details",
+            title: `Kept until ${new Date(entry.expiresAt).toLocaleString()}`,
+          },
+          details.join(" · ")
+        )
+      );
+
+      const restoreBtn = this.uiManager.createElement(
+        "button",
+        {
+          className: "btn btn-small",
+          "data-trash-action": "restore",
+          "data-trash-id": entry.id,
+        },
+        "Restore"
+      );
+      const purgeBtn = this.uiManager.createElement(
+        "button",
+        {
+          className: "btn btn-small btn-error",
+          "data-trash-action": "purge",
+          "data-trash-id": entry.id,
+          title: "Delete for good",
+        },
+        "Delete"
+      );
+
+      row.appendChild(info);
+      row.appendChild(restoreBtn);
+      row.appendChild(purgeBtn);
+      trashList.appendChild(row);
+    });
+
+    trashList.appendChild(
+      this.uiManager.createElement(
+        "button",
+        {
+          className: "btn btn-small btn-error trash-empty-btn",
+          "data-trash-action": "empty",
+        },
+        "Empty Trash"
+      )
+    );
+  }
+
+  /**
+   * Restore or permanently delete trashed containers
+   */
+  async handleTrashAction(event) {
+    const button = event.target.closest("[data-trash-action]");
+    if (!button) {
+      return;
+    }
+
+    const action = button.dataset.trashAction;
+    const id = button.dataset.trashId;
+    button.disabled = true;
+
+    try {
+      switch (action) {
+        case "restore": {
+          const container = await this.trashService.restore(id);
+          this.containerService.clearCache();
+          await this.loadContainers();
+          console.log(`✅ Restored container "${container.name}"`);
+          break;
+        }
+
+        case "purge":
+          if (
+            confirm("Delete this container for good? It cannot be restored.")
+          ) {
+            await this.trashService.remove(id);
+          }
+          break;
+
+        case "empty":
+          if (
+            confirm(
+              "Empty the trash? The containers in it cannot be restored afterwards."
+            )
+          ) {
+            await this.trashService.empty();
+          }
+          break;
+      }
+    } catch (error) {
+      console.error(`❌ Failed to ${action} trashed container:`, error);
+      alert(`Failed to ${action} container: ${error.message}`);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Load shared exit IP warnings published by the background script
+   */
+  async loadIpConflicts() {
+    try {
+      const data = await browser.storage.local.get("exit_ip_conflicts");
+      this.renderIpConflicts(data.exit_ip_conflicts);
+    } catch (error) {
+      console.error("❌ Failed to load exit IP conflicts:", error);
+    }
+  }
+
+  /**
+   * Show one banner line per conflict with a rotate button per later container
+   */
+  renderIpConflicts(result) {
+    const banner = this.uiManager.getElement("ip-conflict-banner");
+    if (!banner) {
+      return;
+    }
+
+    const conflicts = (result && result.conflicts) || [];
+    banner.textContent = "";
+
+    conflicts.forEach((conflict) => {
+      const line = this.uiManager.createElement("div", {
+        className: "ip-conflict",
+      });
+      const names = conflict.containers
+        .map((container) => container.name)
+        .join(", ");
+      const what =
+        conflict.kind === "ip" ? `exit IP ${conflict.key}` : conflict.key;
+
+      line.appendChild(
+        this.uiManager.createElement("span", {}, `⚠️ ${names} share ${what}`)
+      );
+
+      conflict.containers
+        .filter((container) => container.offending)
+        .forEach((container) => {
+          const button = this.uiManager.createElement(
+            "button",
+            {
+              className: "btn btn-small",
+              "data-action": "rotate-session",
+              "data-container-id": container.cookieStoreId,
+              title: container.routed
+                ? `New session for ${container.name}`
+                : "Assign a proxy to this container first",
+            },
+            `Rotate ${container.name}`
+          );
+          button.disabled = !container.routed;
+          line.appendChild(button);
+        });
+
+      banner.appendChild(line);
+    });
+
+    banner.style.display = conflicts.length > 0 ? "block" : "none";
+  }
+
+  /**
+   * Handle rename container
+   */
+  async handleRenameContainer(containerId) {
+    const container = this.state.containers.find(
+      (c) => c.cookieStoreId === containerId
+    );
+
+    if (!container) {
+      return;
+    }
+
+    const newName = prompt("Enter new container name:", container.name);
+
+    if (!newName || newName.trim() === container.name) {
+      return;
+    }
 
     try {
       await this.containerService.updateContainer(containerId, {
@@ -830,6 +2455,155 @@ class FireFoxyPopup {
     }
   }
 
+  /**
+   * Bring a container FireFoxy did not create under its management
+   */
+  async handleAdoptContainer(containerId) {
+    await this.ownershipService.add(containerId);
+
+    const state = this.state.containerStates[containerId];
+    if (state) {
+      state.owned = true;
+    }
+
+    this.renderContainerList();
+    console.log(`✅ Adopted container ${containerId}`);
+  }
+
+  /**
+   * Edit a container's tags; the first tag is the group it is listed under
+   */
+  async handleEditTags(containerId) {
+    const container = this.state.containers.find(
+      (c) => c.cookieStoreId === containerId
+    );
+
+    if (!container) {
+      return;
+    }
+
+    const input = prompt(
+      `Tags for "${container.name}" (comma separated, the first one is its group):`,
+      this.tagService.getTags(containerId).join(", ")
+    );
+
+    if (input === null) {
+      return;
+    }
+
+    const tags = await this.tagService.setTags(
+      containerId,
+      this.tagService.parseTags(input)
+    );
+
+    const state = this.state.containerStates[containerId];
+    if (state) {
+      state.tags = tags;
+    }
+
+    this.renderContainerList();
+    console.log(`✅ Container ${containerId} tags: ${tags.join(", ")}`);
+  }
+
+  /**
+   * Run a group header action on every container in the group
+   * group is the group's tag, or "" for untagged containers
+   */
+  async handleGroupAction(action, group) {
+    const members = this.ownershipService.scope(
+      this.state.containers.filter(
+        (container) =>
+          (this.tagService.getGroup(container.cookieStoreId) || "") === group
+      ),
+      this.state.includeForeign
+    );
+    const label = group || "Untagged";
+
+    if (action !== "group-toggle" && members.length === 0) {
+      alert(
+        `Group "${label}" has no containers managed by FireFoxy. Adopt them, or tick the option to include containers not managed by FireFoxy.`
+      );
+      return;
+    }
+
+    try {
+      switch (action) {
+        case "group-toggle":
+          await this.tagService.setCollapsed(
+            group,
+            !this.tagService.isCollapsed(group)
+          );
+          this.renderContainerList();
+          break;
+
+        case "group-open-all":
+          for (const container of members) {
+            await this.containerService.openInContainer(
+              container.cookieStoreId,
+              undefined,
+              false
+            );
+          }
+          console.log(`✅ Opened ${members.length} tabs in group "${label}"`);
+          break;
+
+        case "group-rotate-all": {
+          const sticky = members.filter((container) => {
+            const state = this.state.containerStates[container.cookieStoreId];
+            return state && state.route && state.route.sessionId;
+          });
+          const failed = [];
+
+          for (const container of sticky) {
+            try {
+              await this.handleRotateSession(container.cookieStoreId);
+            } catch (error) {
+              failed.push(`${container.name}: ${error.message}`);
+            }
+          }
+
+          if (failed.length > 0) {
+            throw new Error(
+              `${failed.length} of ${
+                sticky.length
+              } sessions failed to rotate\n${failed.join("\n")}`
+            );
+          }
+          console.log(
+            `✅ Rotated ${sticky.length} sessions in group "${label}"`
+          );
+          break;
+        }
+
+        case "group-delete":
+          if (
+            !confirm(
+              `Delete all ${members.length} containers in group "${label}"? They can be restored from the trash.`
+            )
+          ) {
+            return;
+          }
+
+          await Promise.all(
+            members.map((container) =>
+              this.containerService.deleteContainer(container.cookieStoreId)
+            )
+          );
+          console.log(
+            `✅ Deleted ${members.length} containers in group "${label}"`
+          );
+          break;
+      }
+    } catch (error) {
+      console.error(`❌ Failed to perform group action ${action}:`, error);
+      alert(
+        `Failed to ${action.replace("group-", "").replace("-", " ")}: ${
+          error.message
+        }`
+      );
+    }
+  }
+
   /**
    * Handle delete container
    */
@@ -842,7 +2616,11 @@ class FireFoxyPopup {
       return;
     }
 
-    if (!confirm(`Delete container "${container.name}"?`)) {
+    if (
+      !confirm(
+        `Delete container "${container.name}"? It can be restored from the trash.`
+      )
+    ) {
       return;
     }
 
@@ -0,0 +1,115 @@
+/**
+ * ProviderAdapter - Base class and registry for residential proxy providers
+ * Each adapter defines its username template, session parameters,
+ * gateways and credential rules; FoxyProxyGenerator delegates to it
+ */
+
+class ProviderAdapter {
+  constructor({
+    id,
+    name,
+    sessionLimits,
+    defaultGateway,
+    gateways,
+    proxyTypes,
+  }) {
+    this.id = id;
+    this.name = name;
+
+    // Proxy protocols the gateways accept, in FoxyProxy type names
+    this.proxyTypes = proxyTypes || ["socks5"];
+
+    // Sticky session lifetime bounds in minutes
+    this.sessionLimits = sessionLimits || { min: 1, max: 120 };
+
+    // Fallback gateway and continent table used by EndpointRegistry
+    // A gateway's port serves SOCKS5; gateway.ports may list other types
+    this.defaultGateway = defaultGateway;
+    this.gateways = gateways || {};
+  }
+
+  /**
+   * Build the auth username for a session
+   * params: { username, region, state, city, asn, sessionMode, sessionId, sessionTime }
+   */
+  buildUsername(params) {
+    throw new Error(`${this.name} adapter does not implement buildUsername`);
+  }
+
+  /**
+   * Extract session details from an auth username, or null if not ours
+   */
+  parseUsername(authUsername) {
+    throw new Error(`${this.name} adapter does not implement parseUsername`);
+  }
+
+  /**
+   * Throw if credentials do not meet the provider's rules
+   */
+  validateCredentials(username, password) {
+    if (!username || !password) {
+      throw new Error("Username and password are required");
+    }
+
+    return true;
+  }
+
+  /**
+   * Clamp a session lifetime to the provider's limits
+   */
+  clampSessionTime(sessionTime) {
+    const minutes = parseInt(sessionTime, 10) || this.sessionLimits.max;
+    return Math.max(
+      this.sessionLimits.min,
+      Math.min(this.sessionLimits.max, minutes)
+    );
+  }
+
+  /**
+   * Check whether the gateways accept a proxy type
+   */
+  supportsType(type) {
+    return this.proxyTypes.includes(type);
+  }
+
+  /**
+   * Register an adapter so it can be selected by id
+   */
+  static register(adapter) {
+    ProviderAdapter.adapters.set(adapter.id, adapter);
+    return adapter;
+  }
+
+  /**
+   * Get a registered adapter by id
+   */
+  static get(id = ProviderAdapter.defaultId) {
+    const adapter = ProviderAdapter.adapters.get(id);
+
+    if (!adapter) {
+      throw new Error(`Unknown proxy provider: ${id}`);
+    }
+
+    return adapter;
+  }
+
+  /**
+   * List registered adapters as { id, name }
+   */
+  static list() {
+    return Array.from(ProviderAdapter.adapters.values()).map((adapter) => ({
+      id: adapter.id,
+      name: adapter.name,
+    }));
+  }
+}
+
+ProviderAdapter.adapters = new Map();
+ProviderAdapter.defaultId = "922proxy";
+
+// Export for both browser and module environments
+if (typeof module !== "undefined" && typeof module.exports !== "undefined") {
+  module.exports = ProviderAdapter;
+} else {
+  window.ProviderAdapter = ProviderAdapter;
+}
@@ -0,0 +1,149 @@
+/**
+ * Proxy922Adapter - 922proxy residential SOCKS5 and HTTP(S) provider
+ * Username format: <user>-region-US[-st-..][-city-..][-asn-..][-sessid-..-sessTime-..]
+ */
+
+class Proxy922Adapter extends ProviderAdapter {
+  constructor() {
+    super({
+      id: "922proxy",
+      name: "922proxy",
+      sessionLimits: { min: 1, max: 120 },
+      defaultGateway: { hostname: "na.proxys5.net", port: 6200 },
+      proxyTypes: ["socks5", "http", "https"],
+      // Only the North America gateway is verified. The other continents
+      // have no default and must be set on the options page from the hosts
+      // listed in the 922proxy dashboard. No HTTP(S) ports are verified, so
+      // HTTP and HTTPS entries need their port set on the options page
+      gateways: {
+        "north-america": {
+          label: "North America",
+          hostname: "na.proxys5.net",
+          port: 6200,
+          countries: ["US", "CA", "MX"],
+        },
+        "south-america": {
+          label: "South America",
+          hostname: null,
+          port: null,
+          countries: ["BR", "AR", "CO", "CL"],
+        },
+        europe: {
+          label: "Europe",
+          hostname: null,
+          port: null,
+          countries: ["GB", "DE", "FR", "NL", "ES", "IT", "PL", "SE"],
+        },
+        asia: {
+          label: "Asia Pacific",
+          hostname: null,
+          port: null,
+          countries: ["JP", "SG", "IN", "KR", "HK", "AU"],
+        },
+      },
+    });
+  }
+
+  /**
+   * Normalize a state or city name for the username (e.g. "New York" -> "newyork")
+   */
+  normalizeGeoValue(value) {
+    return String(value || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, "");
+  }
+
+  /**
+   * Build a 922proxy auth username
+   */
+  buildUsername({
+    username,
+    region,
+    state,
+    city,
+    asn,
+    sessionMode,
+    sessionId,
+    sessionTime,
+  }) {
+    let authUsername = `${username}-region-${region}`;
+
+    const stateValue = this.normalizeGeoValue(state);
+    const cityValue = this.normalizeGeoValue(city);
+    const asnValue = String(asn || "").replace(/\D/g, "");
+
+    if (stateValue) authUsername += `-st-${stateValue}`;
+    if (cityValue) authUsername += `-city-${cityValue}`;
+    if (asnValue) authUsername += `-asn-${asnValue}`;
+
+    // Rotating mode omits sessid so the gateway picks a new IP per request
+    if (sessionMode === "rotating") {
+      return authUsername;
+    }
+
+    return `${authUsername}-sessid-${sessionId}-sessTime-${this.clampSessionTime(
+      sessionTime
+    )}`;
+  }
+
+  /**
+   * Extract session and geo details from a 922proxy auth username
+   */
+  parseUsername(authUsername) {
+    const match =
+      /^(.+?)-region-([^-]+)((?:-(?:st|city|asn)-[^-]+)*)(?:-sessid-([A-Za-z0-9]+)-sessTime-(\d+))?$/.exec(
+        authUsername || ""
+      );
+
+    if (!match) {
+      return null;
+    }
+
+    const geo = {};
+    match[3].replace(/-(st|city|asn)-([^-]+)/g, (segment, key, value) => {
+      geo[key] = value;
+    });
+
+    return {
+      provider: this.id,
+      username: match[1],
+      region: match[2],
+      state: geo.st || "",
+      city: geo.city || "",
+      asn: geo.asn || "",
+      sessionMode: match[4] ? "sticky" : "rotating",
+      sessionId: match[4] || null,
+      sessionTime: match[5] ? parseInt(match[5], 10) : null,
+    };
+  }
+
+  /**
+   * 922proxy credential rules
+   */
+  validateCredentials(username, password) {
+    super.validateCredentials(username, password);
+
+    if (username.length < 3) {
+      throw new Error("Username must be at least 3 characters long");
+    }
+
+    if (password.length < 6) {
+      throw new Error("Password must be at least 6 characters long");
+    }
+
+    if (/[<>"']/.test(username) || /[<>"']/.test(password)) {
+      throw new Error("Credentials contain invalid characters");
+    }
+
+    return true;
+  }
+}
+
+ProviderAdapter.register(new Proxy922Adapter());
+
+// Export for both browser and module environments
+if (typeof module !== "undefined" && typeof module.exports !== "undefined") {
+  module.exports = Proxy922Adapter;
+} else {
+  window.Proxy922Adapter = Proxy922Adapter;
+}
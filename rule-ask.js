@@ -0,0 +1,90 @@
+/**
+ * FireFoxy - Domain Rule Chooser
+ * Opened in place of a navigation matched by an "always ask" rule
+ */
+
+class RuleAskPage {
+  constructor() {
+    this.url = new URLSearchParams(window.location.search).get("url");
+
+    this.initialize();
+  }
+
+  /**
+   * List the containers the page can be opened in
+   */
+  async initialize() {
+    const urlLabel = document.getElementById("rule-ask-url");
+    const choices = document.getElementById("rule-ask-choices");
+
+    if (!this.url) {
+      this.showStatus("No page to open");
+      return;
+    }
+
+    urlLabel.textContent = this.url;
+
+    try {
+      const containers = await browser.contextualIdentities.query({});
+
+      containers.forEach((container) => {
+        choices.appendChild(
+          this.createChoice(container.name, container.cookieStoreId)
+        );
+      });
+      choices.appendChild(
+        this.createChoice("New ephemeral container", "ephemeral")
+      );
+      choices.appendChild(
+        this.createChoice("No container", "firefox-default", "btn-secondary")
+      );
+    } catch (error) {
+      console.error("❌ Failed to list containers:", error);
+      this.showStatus(error.message);
+    }
+  }
+
+  /**
+   * Create a button opening the page in one container
+   */
+  createChoice(label, cookieStoreId, className = "btn-primary") {
+    const button = document.createElement("button");
+    button.className = `btn ${className}`;
+    button.textContent = label;
+    button.addEventListener("click", () => this.choose(cookieStoreId));
+    return button;
+  }
+
+  /**
+   * Hand the choice to the background script, which replaces this tab
+   */
+  async choose(cookieStoreId) {
+    document
+      .querySelectorAll("#rule-ask-choices button")
+      .forEach((button) => (button.disabled = true));
+
+    const response = await browser.runtime.sendMessage({
+      action: "openRuleChoice",
+      url: this.url,
+      cookieStoreId,
+    });
+
+    if (!response || !response.success) {
+      document
+        .querySelectorAll("#rule-ask-choices button")
+        .forEach((button) => (button.disabled = false));
+      this.showStatus((response && response.error) || "Failed to open page");
+    }
+  }
+
+  /**
+   * Show an error under the choices
+   */
+  showStatus(message) {
+    const element = document.getElementById("rule-ask-status");
+    element.textContent = message;
+    element.style.display = "block";
+  }
+}
+
+document.addEventListener("DOMContentLoaded", () => new RuleAskPage());
@@ -0,0 +1,370 @@
+/**
+ * AssignmentStore - Per-container assignments in browser.storage.local
+ * Records the Applied flag and the proxy route (entry, session, region,
+ * provider) of each container, shared by the popup and background script
+ * The background script owns the store and is its only writer; other pages
+ * create it with { remote: true } to send their writes to the background
+ */
+
+class AssignmentStore {
+  constructor(options = {}) {
+    this.storageKey = "container_assignments";
+    this.remote = !!options.remote;
+
+    // Write methods a remote store may ask the owner to run
+    this.writeMethods = [
+      "setRoute",
+      "updateRoute",
+      "setApplied",
+      "clearApplied",
+      "remove",
+    ];
+
+    // Storage used before the store existed, migrated once on load
+    this.legacyRoutesKey = "proxy_routes";
+    this.legacyAppliedPrefix = "container_applied_";
+
+    // cookieStoreId -> { applied, appliedAt, session, route }
+    // session describes the generated config an Applied container was
+    // imported from: { generatedAt, sessionMode, sessionTime }
+    this.assignments = {};
+    this.listeners = new Set();
+    this.loading = null;
+
+    this.handleStorageChange = this.handleStorageChange.bind(this);
+  }
+
+  /**
+   * Load assignments once, migrating legacy storage
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.loadAssignments();
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Read assignments; remote stores follow the owner's writes, the owner
+   * migrates legacy storage
+   */
+  async loadAssignments() {
+    try {
+      const data = await browser.storage.local.get([
+        this.storageKey,
+        this.legacyRoutesKey,
+      ]);
+      this.assignments = data[this.storageKey] || {};
+
+      if (!this.remote) {
+        await this.migrate(data[this.legacyRoutesKey]);
+      }
+    } catch (error) {
+      console.error("❌ Failed to load container assignments:", error);
+      this.assignments = {};
+    }
+
+    // The owner's own writes would arrive late and overwrite newer changes
+    if (this.remote) {
+      browser.storage.onChanged.addListener(this.handleStorageChange);
+    }
+    return this.assignments;
+  }
+
+  /**
+   * Run a write method in the background script and pick up its result
+   */
+  async forward(method, args) {
+    await this.load();
+
+    const response = await browser.runtime.sendMessage({
+      action: "updateAssignment",
+      method,
+      args,
+    });
+
+    if (!response || !response.success) {
+      throw new Error(
+        (response && response.error) || "Failed to update assignment"
+      );
+    }
+
+    // Apply the written containers now rather than waiting for the storage
+    // change, leaving the others to their own updates
+    const written =
+      method === "clearApplied" ? Object.keys(this.assignments) : [args[0]];
+    const current = Object.assign({}, this.assignments);
+    written.forEach((cookieStoreId) => {
+      const assignment = (response.assignments || {})[cookieStoreId];
+      if (assignment) {
+        current[cookieStoreId] = assignment;
+      } else {
+        delete current[cookieStoreId];
+      }
+    });
+    this.apply(current);
+
+    return response.result;
+  }
+
+  /**
+   * Fold proxy_routes and localStorage Applied flags into the store
+   */
+  async migrate(legacyRoutes) {
+    let migrated = 0;
+
+    Object.entries(legacyRoutes || {}).forEach(([cookieStoreId, route]) => {
+      const assignment = this.ensure(cookieStoreId);
+      if (!assignment.route) {
+        assignment.route = route;
+        migrated++;
+      }
+    });
+
+    // localStorage is shared by the extension's pages but not synced
+    if (typeof localStorage !== "undefined") {
+      Object.keys(localStorage)
+        .filter((key) => key.startsWith(this.legacyAppliedPrefix))
+        .forEach((key) => {
+          const cookieStoreId = key.slice(this.legacyAppliedPrefix.length);
+
+          try {
+            const status = JSON.parse(localStorage.getItem(key));
+            if (status && status.applied) {
+              const assignment = this.ensure(cookieStoreId);
+              assignment.applied = true;
+              assignment.appliedAt = status.timestamp || Date.now();
+              migrated++;
+            }
+          } catch (error) {
+            console.warn(`Skipping unreadable applied flag ${key}`);
+          }
+
+          localStorage.removeItem(key);
+        });
+    }
+
+    if (legacyRoutes) {
+      await browser.storage.local.remove(this.legacyRoutesKey);
+    }
+
+    if (migrated > 0) {
+      await this.save();
+      console.log(`✅ Migrated ${migrated} legacy container assignments`);
+    }
+  }
+
+  /**
+   * Get or create the assignment record of a container
+   */
+  ensure(cookieStoreId) {
+    if (!this.assignments[cookieStoreId]) {
+      this.assignments[cookieStoreId] = {
+        applied: false,
+        appliedAt: null,
+        session: null,
+        route: null,
+      };
+    }
+
+    return this.assignments[cookieStoreId];
+  }
+
+  /**
+   * Persist all assignments
+   */
+  async save() {
+    await browser.storage.local.set({ [this.storageKey]: this.assignments });
+  }
+
+  /**
+   * Apply a change to one container, persist it and notify listeners
+   */
+  async mutate(cookieStoreId, change) {
+    const previous = this.get(cookieStoreId);
+    const assignment = this.ensure(cookieStoreId);
+
+    change(assignment);
+
+    if (!assignment.applied && !assignment.route) {
+      delete this.assignments[cookieStoreId];
+    }
+
+    await this.save();
+
+    const current = this.get(cookieStoreId);
+    this.notifyListeners(cookieStoreId, current, previous);
+    return current;
+  }
+
+  /**
+   * Get a copy of a container's assignment, or null
+   */
+  get(cookieStoreId) {
+    const assignment = this.assignments[cookieStoreId];
+    return assignment ? JSON.parse(JSON.stringify(assignment)) : null;
+  }
+
+  /**
+   * Get a container's proxy route, or null
+   */
+  getRoute(cookieStoreId) {
+    const assignment = this.assignments[cookieStoreId];
+    return (assignment && assignment.route) || null;
+  }
+
+  /**
+   * Get every routed container as [cookieStoreId, route] pairs
+   */
+  getRoutes() {
+    return Object.entries(this.assignments)
+      .filter(([, assignment]) => assignment.route)
+      .map(([cookieStoreId, assignment]) => [cookieStoreId, assignment.route]);
+  }
+
+  /**
+   * Set or clear (null) a container's proxy route
+   */
+  async setRoute(cookieStoreId, route) {
+    if (this.remote) {
+      return await this.forward("setRoute", [cookieStoreId, route]);
+    }
+
+    return await this.mutate(cookieStoreId, (assignment) => {
+      assignment.route = route;
+    });
+  }
+
+  /**
+   * Merge fields into a container's existing route
+   */
+  async updateRoute(cookieStoreId, changes) {
+    if (this.remote) {
+      return await this.forward("updateRoute", [cookieStoreId, changes]);
+    }
+
+    if (!this.getRoute(cookieStoreId)) {
+      return null;
+    }
+
+    return await this.mutate(cookieStoreId, (assignment) => {
+      Object.assign(assignment.route, changes);
+    });
+  }
+
+  /**
+   * Mark whether a container's proxy has been applied in FoxyProxy
+   * Pass the session of the config it was applied from, if known
+   */
+  async setApplied(cookieStoreId, applied, session = null) {
+    if (this.remote) {
+      return await this.forward("setApplied", [
+        cookieStoreId,
+        applied,
+        session,
+      ]);
+    }
+
+    return await this.mutate(cookieStoreId, (assignment) => {
+      assignment.applied = !!applied;
+      assignment.appliedAt = applied ? Date.now() : null;
+      assignment.session = applied ? session : null;
+    });
+  }
+
+  /**
+   * Clear the Applied flag of every container
+   */
+  async clearApplied() {
+    if (this.remote) {
+      return await this.forward("clearApplied", []);
+    }
+
+    const appliedIds = Object.keys(this.assignments).filter(
+      (cookieStoreId) => this.assignments[cookieStoreId].applied
+    );
+
+    for (const cookieStoreId of appliedIds) {
+      await this.setApplied(cookieStoreId, false);
+    }
+  }
+
+  /**
+   * Forget everything about a container
+   */
+  async remove(cookieStoreId) {
+    if (this.remote) {
+      return await this.forward("remove", [cookieStoreId]);
+    }
+
+    if (!this.assignments[cookieStoreId]) {
+      return false;
+    }
+
+    await this.mutate(cookieStoreId, (assignment) => {
+      assignment.applied = false;
+      assignment.appliedAt = null;
+      assignment.session = null;
+      assignment.route = null;
+    });
+    return true;
+  }
+
+  /**
+   * Pick up the owner's writes in a remote store
+   */
+  handleStorageChange(changes, areaName) {
+    if (areaName !== "local" || !changes[this.storageKey]) {
+      return;
+    }
+
+    this.apply(changes[this.storageKey].newValue || {});
+  }
+
+  /**
+   * Replace all assignments and notify listeners of each changed container
+   */
+  apply(current) {
+    const previous = this.assignments;
+    this.assignments = current;
+
+    new Set([...Object.keys(previous), ...Object.keys(current)]).forEach(
+      (cookieStoreId) => {
+        const before = previous[cookieStoreId] || null;
+        const after = current[cookieStoreId] || null;
+
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+          this.notifyListeners(cookieStoreId, after, before);
+        }
+      }
+    );
+  }
+
+  /**
+   * Subscribe to assignment changes; returns an unsubscribe function
+   * listener(cookieStoreId, assignment, previousAssignment)
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify all listeners
+   */
+  notifyListeners(cookieStoreId, assignment, previous) {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(cookieStoreId, assignment, previous);
+      } catch (error) {
+        console.error("Error notifying assignment listener:", error);
+      }
+    });
+  }
+}
+
+// Export for use in background.js and popup.js
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = AssignmentStore;
+}
@@ -4,7 +4,10 @@
  */
 
 class ContainerService {
-  constructor() {
+  constructor(assignmentStore, trashService = null, ownershipService = null) {
+    this.assignmentStore = assignmentStore;
+    this.trashService = trashService;
+    this.ownershipService = ownershipService;
     this.cache = {
       containers: null,
       lastFetch: 0,
@@ -66,6 +69,11 @@ class ContainerService {
         icon,
       });
 
+      // Containers created here are managed by FireFoxy
+      if (this.ownershipService) {
+        await this.ownershipService.add(container.cookieStoreId);
+      }
+
       // Invalidate cache
       this.cache.containers = null;
       this.notifyListeners("containerCreated", container);
@@ -111,11 +119,13 @@ class ContainerService {
     }
 
     try {
-      await browser.contextualIdentities.remove(cookieStoreId);
+      // Snapshot into the trash first so the delete can be undone
+      if (this.trashService) {
+        await this.trashService.add(cookieStoreId);
+      }
 
-      // Clean up applied status when deleting container
-      const key = `container_applied_${cookieStoreId}`;
-      localStorage.removeItem(key);
+      // The background script drops the assignment when the container goes
+      await browser.contextualIdentities.remove(cookieStoreId);
 
       // Invalidate cache
       this.cache.containers = null;
@@ -133,7 +143,8 @@ class ContainerService {
    */
   async openInContainer(
     cookieStoreId,
-    url = "https://ipinfo.io/what-is-my-ip"
+    url = "https://ipinfo.io/what-is-my-ip",
+    active = true
   ) {
     try {
       // Validate container exists first
@@ -149,7 +160,7 @@ class ContainerService {
       const tab = await browser.tabs.create({
         url,
         cookieStoreId,
-        active: true,
+        active,
       });
 
       console.log(`✅ Opened new tab in container "${container.name}": ${url}`);
@@ -211,38 +222,26 @@ class ContainerService {
   }
 
   /**
-   * Get container applied status from storage
+   * Get container applied status from the assignment store
    */
-  getAppliedStatus(cookieStoreId) {
-    const key = `container_applied_${cookieStoreId}`;
-    const data = localStorage.getItem(key);
+  async getAppliedStatus(cookieStoreId) {
+    await this.assignmentStore.load();
+    const assignment = this.assignmentStore.get(cookieStoreId);
 
-    if (data) {
-      try {
-        return JSON.parse(data);
-      } catch {
-        return null;
-      }
+    if (assignment && assignment.applied) {
+      return { applied: true, timestamp: assignment.appliedAt };
     }
 
     return null;
   }
 
   /**
-   * Set container applied status in storage
+   * Set container applied status in the assignment store
+   * session describes the generated config it was applied from
    */
-  setAppliedStatus(cookieStoreId, applied) {
-    const key = `container_applied_${cookieStoreId}`;
-
-    if (applied) {
-      const data = {
-        applied: true,
-        timestamp: Date.now(),
-      };
-      localStorage.setItem(key, JSON.stringify(data));
-    } else {
-      localStorage.removeItem(key);
-    }
+  async setAppliedStatus(cookieStoreId, applied, session = null) {
+    await this.assignmentStore.load();
+    await this.assignmentStore.setApplied(cookieStoreId, applied, session);
 
     this.notifyListeners("appliedStatusChanged", { cookieStoreId, applied });
   }
@@ -283,15 +282,11 @@ class ContainerService {
   }
 
   /**
-   * Clear all applied statuses from localStorage
+   * Clear all applied statuses from the assignment store
    */
-  clearAllAppliedStatuses() {
-    const keys = Object.keys(localStorage);
-    keys.forEach((key) => {
-      if (key.startsWith("container_applied_")) {
-        localStorage.removeItem(key);
-      }
-    });
+  async clearAllAppliedStatuses() {
+    await this.assignmentStore.load();
+    await this.assignmentStore.clearApplied();
     console.log("✅ Cleared all applied statuses");
   }
 }
@@ -11,14 +11,15 @@ class CredentialService {
 
     /**
      * Save credentials to secure browser storage
+     * The provider id selects the ProviderAdapter used for this profile
      */
-    async saveCredentials(username, password) {
+    async saveCredentials(username, password, provider = ProviderAdapter.defaultId) {
         if (!username || !password) {
             throw new Error('Username and password are required');
         }
 
         // Validate credentials format
-        if (!this.validateCredentialFormat(username, password)) {
+        if (!this.validateCredentialFormat(username, password, provider)) {
             throw new Error('Invalid credential format');
         }
 
@@ -26,6 +27,7 @@ class CredentialService {
             const credentials = {
                 username: username.trim(),
                 password: password.trim(),
+                provider: provider,
                 savedAt: Date.now()
             };
 
@@ -84,25 +86,15 @@ class CredentialService {
     }
 
     /**
-     * Validate credential format
+     * Validate credential format against the provider's rules
      */
-    validateCredentialFormat(username, password) {
-        // Basic validation - adjust based on 922proxy requirements
-        if (!username || username.length < 3) {
-            return false;
-        }
-
-        if (!password || password.length < 6) {
-            return false;
-        }
-
-        // Check for invalid characters
-        const invalidChars = /[<>\"\']/;
-        if (invalidChars.test(username) || invalidChars.test(password)) {
+    validateCredentialFormat(username, password, provider = ProviderAdapter.defaultId) {
+        try {
+            return ProviderAdapter.get(provider).validateCredentials(username, password);
+        } catch (error) {
+            console.warn(`Credential format rejected: ${error.message}`);
             return false;
         }
-
-        return true;
     }
 
     /**
@@ -181,7 +173,7 @@ class CredentialService {
                 throw new Error('Invalid import data');
             }
 
-            return await this.saveCredentials(data.username, data.password);
+            return await this.saveCredentials(data.username, data.password, data.provider);
         } catch (error) {
             console.error('❌ Failed to import credentials:', error);
             throw new Error('Invalid import data format');
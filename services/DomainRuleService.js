@@ -0,0 +1,450 @@
+/**
+ * DomainRuleService - Opens matching sites in their assigned container
+ * Rules match a navigation's host exactly, by wildcard, or its full URL by
+ * regex, and either reopen it in a fixed container, ask which container to
+ * use, or open it in a new ephemeral container removed with its last tab
+ */
+
+class DomainRuleService {
+  constructor(ownershipService = null) {
+    this.storageKey = "domain_rules";
+    this.ephemeralKey = "ephemeral_containers";
+    this.ownershipService = ownershipService;
+
+    this.matchTypes = ["exact", "wildcard", "regex"];
+    this.modes = ["container", "ask", "ephemeral"];
+    this.defaultCookieStoreId = "firefox-default";
+    this.askPage = "rule-ask.html";
+
+    // Ephemeral containers younger than this survive a closed tab, so a
+    // container is not removed before its first tab has opened
+    this.ephemeralGraceMs = 10000;
+    // Reopened navigations pass the rules once: "<cookieStoreId>|<url>"
+    this.bypassMs = 10000;
+
+    this.rules = [];
+    this.ephemeral = {};
+    // cookieStoreIds of existing containers, so a rule pointing at a removed
+    // one lets the navigation through instead of cancelling it
+    this.containers = new Set();
+    this.bypass = new Map();
+
+    this.handleBeforeRequest = this.handleBeforeRequest.bind(this);
+    this.handleTabRemoved = this.handleTabRemoved.bind(this);
+    this.handleStorageChange = this.handleStorageChange.bind(this);
+    this.handleContainerCreated = this.handleContainerCreated.bind(this);
+  }
+
+  /**
+   * Load rules and start redirecting navigations (background script)
+   */
+  async initialize() {
+    const data = await browser.storage.local.get([
+      this.storageKey,
+      this.ephemeralKey,
+    ]);
+    this.rules = this.compile(data[this.storageKey] || []);
+    this.ephemeral = data[this.ephemeralKey] || {};
+
+    const containers = await browser.contextualIdentities.query({});
+    containers.forEach((container) =>
+      this.containers.add(container.cookieStoreId)
+    );
+    browser.contextualIdentities.onCreated.addListener(
+      this.handleContainerCreated
+    );
+
+    browser.webRequest.onBeforeRequest.addListener(
+      this.handleBeforeRequest,
+      { urls: ["<all_urls>"], types: ["main_frame"] },
+      ["blocking"]
+    );
+    browser.tabs.onRemoved.addListener(this.handleTabRemoved);
+    browser.storage.onChanged.addListener(this.handleStorageChange);
+
+    // Ephemeral containers left over from the last session have no tabs
+    await this.removeUnusedEphemeral();
+
+    console.log(`✅ Domain rules initialized with ${this.rules.length} rules`);
+  }
+
+  /**
+   * Keep rules in sync when the options page saves them
+   */
+  handleStorageChange(changes, areaName) {
+    if (areaName === "local" && changes[this.storageKey]) {
+      this.rules = this.compile(changes[this.storageKey].newValue || []);
+    }
+  }
+
+  /**
+   * Remember containers created after startup
+   */
+  handleContainerCreated({ contextualIdentity }) {
+    this.containers.add(contextualIdentity.cookieStoreId);
+  }
+
+  /**
+   * Whether a rule's target container still exists
+   */
+  hasContainer(cookieStoreId) {
+    return (
+      cookieStoreId === this.defaultCookieStoreId ||
+      this.containers.has(cookieStoreId)
+    );
+  }
+
+  /**
+   * Delete the rules that open sites in a removed container
+   */
+  async removeContainer(cookieStoreId) {
+    this.containers.delete(cookieStoreId);
+
+    const rules = await this.getRules();
+    const kept = rules.filter(
+      (rule) =>
+        rule.mode !== "container" || rule.cookieStoreId !== cookieStoreId
+    );
+
+    if (kept.length === rules.length) {
+      return 0;
+    }
+
+    await browser.storage.local.set({ [this.storageKey]: kept });
+    this.rules = this.compile(kept);
+
+    console.log(
+      `✅ Removed ${
+        rules.length - kept.length
+      } domain rules of ${cookieStoreId}`
+    );
+    return rules.length - kept.length;
+  }
+
+  /**
+   * Load the saved rules
+   */
+  async getRules() {
+    try {
+      const data = await browser.storage.local.get(this.storageKey);
+      return data[this.storageKey] || [];
+    } catch (error) {
+      console.error("❌ Failed to load domain rules:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Validate and persist rules, keeping their order (first match wins)
+   */
+  async saveRules(rules) {
+    const saved = rules.map((rule, index) => {
+      const pattern = String(rule.pattern || "").trim();
+      const position = `Rule ${index + 1}`;
+
+      if (!pattern) {
+        throw new Error(`${position}: the pattern is required`);
+      }
+      if (!this.matchTypes.includes(rule.matchType)) {
+        throw new Error(`${position}: unknown match type ${rule.matchType}`);
+      }
+      if (!this.modes.includes(rule.mode)) {
+        throw new Error(`${position}: unknown mode ${rule.mode}`);
+      }
+      if (rule.mode === "container" && !rule.cookieStoreId) {
+        throw new Error(`${position}: choose the container to open it in`);
+      }
+
+      if (rule.matchType === "regex") {
+        try {
+          new RegExp(pattern, "i");
+        } catch (error) {
+          throw new Error(`${position}: invalid regex (${error.message})`);
+        }
+      } else if (!/^[a-z0-9*.-]+$/i.test(pattern)) {
+        throw new Error(
+          `${position}: host patterns may only contain letters, digits, ".", "-" and "*"`
+        );
+      }
+
+      return {
+        id: rule.id || `${Date.now()}-${index}`,
+        pattern: rule.matchType === "regex" ? pattern : pattern.toLowerCase(),
+        matchType: rule.matchType,
+        mode: rule.mode,
+        cookieStoreId: rule.mode === "container" ? rule.cookieStoreId : null,
+        enabled: rule.enabled !== false,
+      };
+    });
+
+    await browser.storage.local.set({ [this.storageKey]: saved });
+    return saved;
+  }
+
+  /**
+   * Prepare enabled rules for matching
+   */
+  compile(rules) {
+    return rules
+      .filter((rule) => rule.enabled !== false)
+      .map((rule) => {
+        try {
+          return Object.assign({}, rule, { test: this.createMatcher(rule) });
+        } catch (error) {
+          console.warn(`⚠️ Skipping domain rule "${rule.pattern}":`, error);
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Build a rule's matcher
+   * exact compares the host, wildcard globs the host with "*" ("*.example.com"
+   * also matches example.com itself), regex tests the full URL
+   */
+  createMatcher(rule) {
+    if (rule.matchType === "regex") {
+      const regex = new RegExp(rule.pattern, "i");
+      return (url) => regex.test(url.href);
+    }
+
+    const pattern = rule.pattern.toLowerCase();
+
+    if (rule.matchType === "exact") {
+      return (url) => url.hostname === pattern;
+    }
+
+    const glob = pattern
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*");
+    const regex = new RegExp(`^${glob.replace(/^\.\*\\\./, "(.*\\.)?")}$`);
+    return (url) => regex.test(url.hostname);
+  }
+
+  /**
+   * Find the first rule matching a URL
+   */
+  findRule(href) {
+    let url;
+    try {
+      url = new URL(href);
+    } catch (error) {
+      return null;
+    }
+
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      return null;
+    }
+
+    return this.rules.find((rule) => rule.test(url)) || null;
+  }
+
+  /**
+   * Let the next navigation to a URL in a container through unchanged
+   */
+  allowOnce(cookieStoreId, url) {
+    this.bypass.set(`${cookieStoreId}|${url}`, Date.now() + this.bypassMs);
+  }
+
+  /**
+   * Use up a pending bypass for a navigation
+   */
+  consumeBypass(cookieStoreId, url) {
+    const now = Date.now();
+    this.bypass.forEach((expiresAt, key) => {
+      if (expiresAt < now) {
+        this.bypass.delete(key);
+      }
+    });
+
+    return this.bypass.delete(`${cookieStoreId}|${url}`);
+  }
+
+  /**
+   * Decide whether a top-level navigation has to move to another container
+   */
+  handleBeforeRequest(details) {
+    if (details.tabId < 0) {
+      return {};
+    }
+
+    const current = details.cookieStoreId || this.defaultCookieStoreId;
+    if (this.consumeBypass(current, details.url)) {
+      return {};
+    }
+
+    const rule = this.findRule(details.url);
+
+    // Ephemeral containers are already isolated for whatever they load
+    if (!rule || this.ephemeral[current]) {
+      return {};
+    }
+
+    let action;
+    switch (rule.mode) {
+      case "container":
+        if (current === rule.cookieStoreId) {
+          return {};
+        }
+        if (!this.hasContainer(rule.cookieStoreId)) {
+          console.warn(
+            `⚠️ Domain rule "${rule.pattern}" points at a removed container`
+          );
+          return {};
+        }
+        action = this.reopen(details.tabId, details.url, rule.cookieStoreId);
+        break;
+
+      case "ask":
+        // Once a site is in a container the user already chose one
+        if (current !== this.defaultCookieStoreId) {
+          return {};
+        }
+        action = browser.tabs.update(details.tabId, {
+          url: browser.runtime.getURL(
+            `${this.askPage}?url=${encodeURIComponent(details.url)}`
+          ),
+        });
+        break;
+
+      case "ephemeral":
+        action = this.openEphemeral(details.tabId, details.url);
+        break;
+
+      default:
+        return {};
+    }
+
+    action.catch((error) => {
+      console.error(`❌ Domain rule "${rule.pattern}" failed:`, error);
+    });
+    return { cancel: true };
+  }
+
+  /**
+   * Open a URL in a container next to a tab, closing the tab if it was
+   * only opened for this navigation
+   */
+  async reopen(tabId, url, cookieStoreId) {
+    const tab = await browser.tabs.get(tabId);
+
+    if (cookieStoreId !== this.defaultCookieStoreId) {
+      // The ask page can offer a container removed since it opened
+      await browser.contextualIdentities.get(cookieStoreId);
+    }
+
+    this.allowOnce(cookieStoreId, url);
+    await browser.tabs.create({
+      url,
+      cookieStoreId,
+      windowId: tab.windowId,
+      index: tab.index + 1,
+      active: tab.active,
+    });
+
+    if (this.isBlankTab(tab)) {
+      await browser.tabs.remove(tabId);
+    }
+  }
+
+  /**
+   * Whether a tab has nothing worth keeping
+   */
+  isBlankTab(tab) {
+    return (
+      !tab.url ||
+      tab.url === "about:blank" ||
+      tab.url === "about:newtab" ||
+      tab.url === "about:home" ||
+      tab.url.startsWith(browser.runtime.getURL(this.askPage))
+    );
+  }
+
+  /**
+   * Open a URL in a new container that is removed when its last tab closes
+   */
+  async openEphemeral(tabId, url) {
+    const host = new URL(url).hostname;
+    const container = await browser.contextualIdentities.create({
+      name: `Ephemeral ${host}`,
+      color: "toolbar",
+      icon: "fence",
+    });
+
+    this.ephemeral[container.cookieStoreId] = Date.now();
+    this.containers.add(container.cookieStoreId);
+    await browser.storage.local.set({ [this.ephemeralKey]: this.ephemeral });
+
+    if (this.ownershipService) {
+      await this.ownershipService.add(container.cookieStoreId);
+    }
+
+    await this.reopen(tabId, url, container.cookieStoreId);
+    return container;
+  }
+
+  /**
+   * Open the container chosen on the ask page in place of that page
+   * cookieStoreId may be "ephemeral" for a new ephemeral container
+   */
+  async openChoice(tabId, url, cookieStoreId) {
+    if (cookieStoreId === "ephemeral") {
+      return await this.openEphemeral(tabId, url);
+    }
+
+    if (cookieStoreId === this.defaultCookieStoreId) {
+      this.allowOnce(cookieStoreId, url);
+      return await browser.tabs.update(tabId, { url });
+    }
+
+    return await this.reopen(tabId, url, cookieStoreId);
+  }
+
+  /**
+   * Check ephemeral containers whenever a tab closes
+   */
+  handleTabRemoved() {
+    this.removeUnusedEphemeral().catch((error) => {
+      console.error("❌ Failed to remove ephemeral containers:", error);
+    });
+  }
+
+  /**
+   * Remove ephemeral containers whose last tab was closed
+   */
+  async removeUnusedEphemeral() {
+    const now = Date.now();
+    let changed = false;
+
+    for (const [cookieStoreId, createdAt] of Object.entries(this.ephemeral)) {
+      if (now - createdAt < this.ephemeralGraceMs) {
+        continue;
+      }
+
+      const tabs = await browser.tabs.query({ cookieStoreId });
+      if (tabs.length > 0) {
+        continue;
+      }
+
+      try {
+        await browser.contextualIdentities.remove(cookieStoreId);
+      } catch (error) {
+        console.warn(`⚠️ Ephemeral container ${cookieStoreId} already gone`);
+      }
+
+      delete this.ephemeral[cookieStoreId];
+      changed = true;
+    }
+
+    if (changed) {
+      await browser.storage.local.set({ [this.ephemeralKey]: this.ephemeral });
+    }
+  }
+}
+
+// Export for use in background.js and options.js
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DomainRuleService;
+}
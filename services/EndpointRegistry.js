@@ -0,0 +1,197 @@
+/**
+ * EndpointRegistry - Maps proxy regions to gateway hosts and ports
+ * Default gateways come from the provider adapter and can be overridden
+ * per continent from the options page; continents without a default stay
+ * unconfigured until the user sets their gateway
+ */
+
+class EndpointRegistry {
+  constructor(providerId = ProviderAdapter.defaultId) {
+    this.storageKey = "endpoint_overrides";
+
+    // Continent table comes from the provider adapter
+    this.providerId = providerId;
+    this.defaults = ProviderAdapter.get(providerId).gateways;
+
+    this.countryNames = {
+      US: "USA",
+      CA: "Canada",
+      MX: "Mexico",
+      BR: "Brazil",
+      AR: "Argentina",
+      CO: "Colombia",
+      CL: "Chile",
+      GB: "United Kingdom",
+      DE: "Germany",
+      FR: "France",
+      NL: "Netherlands",
+      ES: "Spain",
+      IT: "Italy",
+      PL: "Poland",
+      SE: "Sweden",
+      JP: "Japan",
+      SG: "Singapore",
+      IN: "India",
+      KR: "South Korea",
+      HK: "Hong Kong",
+      AU: "Australia",
+    };
+
+    this.overrides = {};
+  }
+
+  /**
+   * Switch to another provider's gateway table
+   */
+  async setProvider(providerId) {
+    this.providerId = providerId;
+    this.defaults = ProviderAdapter.get(providerId).gateways;
+    return await this.load();
+  }
+
+  /**
+   * Load the current provider's overrides from storage
+   */
+  async load() {
+    try {
+      const data = await browser.storage.local.get(this.storageKey);
+      this.overrides = (data[this.storageKey] || {})[this.providerId] || {};
+    } catch (error) {
+      console.error("❌ Failed to load endpoint overrides:", error);
+      this.overrides = {};
+    }
+
+    return this.getContinents();
+  }
+
+  /**
+   * Save overrides as { continentId: { hostname, port, ports: { http, https } } }
+   */
+  async saveOverrides(overrides) {
+    const isValidPort = (value) => {
+      const port = parseInt(value, 10);
+      return port >= 1 && port <= 65535;
+    };
+
+    Object.entries(overrides).forEach(([continent, gateway]) => {
+      if (!this.defaults[continent]) {
+        throw new Error(`Unknown continent: ${continent}`);
+      }
+
+      const typePorts = Object.values(gateway.ports || {});
+      if (
+        !gateway.hostname ||
+        !isValidPort(gateway.port) ||
+        !typePorts.every(isValidPort)
+      ) {
+        throw new Error(
+          `Invalid gateway for ${this.defaults[continent].label}`
+        );
+      }
+    });
+
+    await this.writeOverrides(overrides);
+  }
+
+  /**
+   * Drop the current provider's overrides and return to the default table
+   */
+  async resetOverrides() {
+    await this.writeOverrides({});
+  }
+
+  /**
+   * Store overrides for the current provider, keeping other providers' tables
+   */
+  async writeOverrides(overrides) {
+    const data = await browser.storage.local.get(this.storageKey);
+    const allOverrides = data[this.storageKey] || {};
+    allOverrides[this.providerId] = overrides;
+
+    await browser.storage.local.set({ [this.storageKey]: allOverrides });
+    this.overrides = overrides;
+  }
+
+  /**
+   * Get every continent with its effective gateway
+   */
+  getContinents() {
+    return Object.entries(this.defaults).map(([id, entry]) => {
+      const override = this.overrides[id] || {};
+
+      const hostname = override.hostname || entry.hostname || null;
+      const port = parseInt(override.port || entry.port, 10) || null;
+
+      return {
+        id,
+        label: entry.label,
+        countries: entry.countries,
+        hostname,
+        port,
+        ports: Object.assign({}, entry.ports, override.ports),
+        isOverridden: !!this.overrides[id],
+        isConfigured: !!(hostname && port),
+      };
+    });
+  }
+
+  /**
+   * Get the gateway serving a country code for a proxy type
+   */
+  resolve(country, type = "socks5") {
+    const continent = this.getContinents().find((entry) =>
+      entry.countries.includes(country)
+    );
+
+    if (!continent || !continent.isConfigured) {
+      throw new Error(
+        `No gateway configured for region ${country}. Set one under Gateway Settings on the options page.`
+      );
+    }
+
+    if (type !== "socks5" && !continent.ports[type]) {
+      throw new Error(
+        `No ${type.toUpperCase()} port configured for region ${country}. Set one under Gateway Settings on the options page.`
+      );
+    }
+
+    return {
+      hostname: continent.hostname,
+      port: parseInt(continent.ports[type] || continent.port, 10),
+    };
+  }
+
+  /**
+   * Get a country -> gateway table for FoxyProxyGenerator
+   * Countries of unconfigured continents map to a gateway without a hostname
+   */
+  getGatewayTable() {
+    const table = {};
+
+    this.getContinents().forEach((continent) => {
+      continent.countries.forEach((country) => {
+        table[country] = {
+          hostname: continent.hostname,
+          port: continent.port,
+          ports: continent.ports,
+        };
+      });
+    });
+
+    return table;
+  }
+
+  /**
+   * Get selectable countries as { code, name } sorted by name
+   */
+  getCountries() {
+    return Object.entries(this.countryNames)
+      .map(([code, name]) => ({ code, name }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+}
+
+// Export for use in popup.js and options.js
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = EndpointRegistry;
+}
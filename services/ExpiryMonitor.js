@@ -0,0 +1,289 @@
+/**
+ * ExpiryMonitor - Warns before applied containers' sticky sessions expire
+ * Runs in the background on an alarm so warnings arrive with the popup
+ * closed, and shows the shortest remaining session on the toolbar badge
+ */
+
+class ExpiryMonitor {
+  constructor(assignmentStore = null) {
+    this.alarmName = "firefoxy-session-expiry";
+    this.settingsKey = "expiry_warning_settings";
+    this.assignmentStore = assignmentStore;
+
+    // Minutes left at which to notify; 0 is the moment the session expires
+    this.defaultSettings = {
+      enabled: true,
+      thresholdMinutes: [10, 0],
+    };
+    this.settings = Object.assign({}, this.defaultSettings);
+
+    // "<cookieStoreId>|<session start>|<threshold>" already notified
+    this.notified = new Set();
+
+    this.handleAlarm = this.handleAlarm.bind(this);
+    this.handleStorageChange = this.handleStorageChange.bind(this);
+  }
+
+  /**
+   * Load settings and start the periodic expiry check
+   */
+  async initialize() {
+    this.settings = await this.getSettings();
+    await this.assignmentStore.load();
+
+    // Thresholds passed before a restart were already announced
+    this.getSessions().forEach((session) =>
+      this.getPassedThresholds(session).forEach((threshold) =>
+        this.notified.add(this.getNotificationKey(session, threshold))
+      )
+    );
+
+    browser.alarms.create(this.alarmName, { periodInMinutes: 1 });
+    browser.alarms.onAlarm.addListener(this.handleAlarm);
+    browser.storage.onChanged.addListener(this.handleStorageChange);
+    this.assignmentStore.subscribe(() => this.scheduleCheck());
+
+    await this.check();
+    console.log("✅ Session expiry monitor initialized");
+  }
+
+  /**
+   * Load expiry settings merged over the defaults
+   */
+  async getSettings() {
+    try {
+      const data = await browser.storage.local.get(this.settingsKey);
+      return Object.assign({}, this.defaultSettings, data[this.settingsKey]);
+    } catch (error) {
+      console.error("❌ Failed to load expiry warning settings:", error);
+      return Object.assign({}, this.defaultSettings);
+    }
+  }
+
+  /**
+   * Validate and persist expiry settings
+   * thresholdMinutes may be an array or a comma separated string
+   */
+  async saveSettings(settings) {
+    const values = Array.isArray(settings.thresholdMinutes)
+      ? settings.thresholdMinutes
+      : String(settings.thresholdMinutes || "").split(",");
+
+    const thresholdMinutes = values
+      .map((value) => String(value).trim())
+      .filter(Boolean)
+      .map((value) => {
+        const minutes = Number(value);
+        if (!Number.isInteger(minutes) || minutes < 0 || minutes > 1440) {
+          throw new Error(`Invalid warning threshold: ${value}`);
+        }
+        return minutes;
+      });
+
+    const saved = {
+      enabled: !!settings.enabled,
+      thresholdMinutes: Array.from(new Set(thresholdMinutes)).sort(
+        (a, b) => b - a
+      ),
+    };
+
+    await browser.storage.local.set({ [this.settingsKey]: saved });
+    return saved;
+  }
+
+  /**
+   * Run the expiry check on each alarm tick
+   */
+  handleAlarm(alarm) {
+    if (alarm.name === this.alarmName) {
+      this.scheduleCheck();
+    }
+  }
+
+  /**
+   * Keep settings in sync when the options page changes them
+   */
+  handleStorageChange(changes, areaName) {
+    if (areaName === "local" && changes[this.settingsKey]) {
+      this.settings = Object.assign(
+        {},
+        this.defaultSettings,
+        changes[this.settingsKey].newValue
+      );
+      this.scheduleCheck();
+    }
+  }
+
+  /**
+   * Check in the background, logging failures
+   */
+  scheduleCheck() {
+    this.check().catch((error) => {
+      console.error("❌ Session expiry check failed:", error);
+    });
+  }
+
+  /**
+   * Get the session of every applied container
+   * A sticky route's session starts when it was issued; otherwise the
+   * session FoxyProxy uses started when its config was generated. Containers
+   * applied without a known config have no known lifetime
+   */
+  getSessions() {
+    return Object.keys(this.assignmentStore.assignments)
+      .map((cookieStoreId) => {
+        const assignment = this.assignmentStore.get(cookieStoreId);
+        if (!assignment || !assignment.applied) {
+          return null;
+        }
+
+        const route = assignment.route;
+        const session = route
+          ? {
+              generatedAt: route.issuedAt,
+              sessionMode: route.sessionId ? "sticky" : "rotating",
+              sessionTime: route.sessionTime,
+            }
+          : assignment.session;
+
+        // Rotating sessions change IP per request and never expire
+        if (!session || session.sessionMode === "rotating") {
+          return null;
+        }
+
+        const startedAt = session.generatedAt;
+        const minutes = session.sessionTime;
+
+        return startedAt && minutes
+          ? {
+              cookieStoreId,
+              title: route ? route.title : null,
+              startedAt,
+              expiresAt: startedAt + minutes * 60 * 1000,
+            }
+          : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Get the thresholds a session has reached
+   */
+  getPassedThresholds(session, now = Date.now()) {
+    const minutesLeft = (session.expiresAt - now) / 60000;
+    return this.settings.thresholdMinutes.filter(
+      (threshold) => minutesLeft <= threshold
+    );
+  }
+
+  /**
+   * Identify one warning of one session
+   */
+  getNotificationKey(session, threshold) {
+    return `${session.cookieStoreId}|${session.startedAt}|${threshold}`;
+  }
+
+  /**
+   * Send due warnings and update the toolbar badge
+   */
+  async check() {
+    const sessions = this.settings.enabled ? this.getSessions() : [];
+    const now = Date.now();
+    const active = new Set();
+
+    for (const session of sessions) {
+      // Only the most urgent threshold reached is announced
+      const due = this.getPassedThresholds(session, now)
+        .map((threshold) => this.getNotificationKey(session, threshold))
+        .filter((key) => !this.notified.has(key));
+
+      if (due.length > 0) {
+        due.forEach((key) => this.notified.add(key));
+        await this.notify(session, now);
+      }
+
+      this.settings.thresholdMinutes.forEach((threshold) =>
+        active.add(this.getNotificationKey(session, threshold))
+      );
+    }
+
+    // Forget warnings of sessions that were rotated or unapplied
+    this.notified = new Set(
+      Array.from(this.notified).filter((key) => active.has(key))
+    );
+
+    await this.updateBadge(sessions, now);
+  }
+
+  /**
+   * Show the shortest remaining session on the toolbar button
+   */
+  async updateBadge(sessions, now = Date.now()) {
+    if (sessions.length === 0) {
+      await browser.browserAction.setBadgeText({ text: "" });
+      return;
+    }
+
+    const shortest = Math.min(...sessions.map((session) => session.expiresAt));
+    const minutesLeft = Math.ceil((shortest - now) / 60000);
+    const warnAt = Math.max(0, ...this.settings.thresholdMinutes);
+
+    await browser.browserAction.setBadgeText({
+      text: this.formatBadge(minutesLeft),
+    });
+    await browser.browserAction.setBadgeBackgroundColor({
+      color: minutesLeft <= warnAt ? "#d70022" : "#4a4a4f",
+    });
+  }
+
+  /**
+   * Fit the remaining time into the badge's four characters
+   */
+  formatBadge(minutesLeft) {
+    if (minutesLeft <= 0) {
+      return "EXP";
+    }
+
+    return minutesLeft < 100
+      ? `${minutesLeft}m`
+      : `${Math.floor(minutesLeft / 60)}h`;
+  }
+
+  /**
+   * Tell the user how long a container's session has left
+   */
+  async notify(session, now) {
+    let name = session.cookieStoreId;
+    try {
+      const identity = await browser.contextualIdentities.get(
+        session.cookieStoreId
+      );
+      name = identity.name;
+    } catch (error) {
+      // Fall back to the cookieStoreId
+    }
+
+    const minutesLeft = Math.ceil((session.expiresAt - now) / 60000);
+    const message =
+      minutesLeft <= 0
+        ? `The proxy session of "${name}" has expired. Generate or rotate a new session to keep a stable IP.`
+        : `The proxy session of "${name}" expires in ${minutesLeft} minute${
+            minutesLeft === 1 ? "" : "s"
+          }.`;
+
+    browser.notifications.create(`session-expiry-${session.cookieStoreId}`, {
+      type: "basic",
+      iconUrl: "icon48.png",
+      title:
+        minutesLeft <= 0
+          ? "922Proxy - Session Expired"
+          : "922Proxy - Session Expiring",
+      message,
+    });
+  }
+}
+
+// Export for use in background.js and options.js
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ExpiryMonitor;
+}
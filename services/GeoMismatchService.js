@@ -0,0 +1,241 @@
+/**
+ * GeoMismatchService - Checks that containers exit where their route asked
+ * Compares each new ip_<cookieStoreId> record against the route's region,
+ * state and city, flags mismatches for the popup and can rotate the session
+ */
+
+class GeoMismatchService {
+  constructor(proxyRouter, sessionScheduler) {
+    this.storageKey = "geo_mismatches";
+    this.settingsKey = "geo_mismatch_settings";
+    this.proxyRouter = proxyRouter;
+    this.sessionScheduler = sessionScheduler;
+
+    this.recordPattern = /^ip_(firefox-.+)$/;
+
+    // Stop auto-rotating a container after this many mismatches in a row
+    this.maxAutoRotations = 3;
+    this.autoRotations = new Map();
+
+    // Lookup services report some countries under other codes
+    this.countryAliases = { USA: "US", UK: "GB" };
+
+    this.handleStorageChange = this.handleStorageChange.bind(this);
+  }
+
+  /**
+   * Start checking new IP records
+   */
+  initialize() {
+    browser.storage.onChanged.addListener(this.handleStorageChange);
+    console.log("✅ Geo mismatch check initialized");
+  }
+
+  /**
+   * Check every container whose IP record changed
+   */
+  handleStorageChange(changes, areaName) {
+    if (areaName !== "local") {
+      return;
+    }
+
+    Object.entries(changes).forEach(([key, change]) => {
+      const match = this.recordPattern.exec(key);
+      if (match && change.newValue) {
+        this.check(match[1], change.newValue).catch((error) => {
+          console.error(`❌ Geo check failed for ${match[1]}:`, error);
+        });
+      }
+    });
+  }
+
+  /**
+   * Load mismatch settings
+   */
+  async getSettings() {
+    const data = await browser.storage.local.get(this.settingsKey);
+    return Object.assign({ autoRotate: false }, data[this.settingsKey]);
+  }
+
+  /**
+   * Normalize a geo value the way the provider usernames do
+   */
+  normalize(value) {
+    return String(value || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, "");
+  }
+
+  /**
+   * Get the country code used for comparison
+   */
+  normalizeCountry(value) {
+    const code = String(value || "")
+      .trim()
+      .toUpperCase();
+    return this.countryAliases[code] || code;
+  }
+
+  /**
+   * List the route's geo targets the record does not match
+   * Targets the lookup did not report are not counted as mismatches
+   */
+  compare(route, record) {
+    const mismatches = [];
+
+    if (
+      route.region &&
+      record.country &&
+      this.normalizeCountry(route.region) !==
+        this.normalizeCountry(record.country)
+    ) {
+      mismatches.push({
+        field: "country",
+        expected: route.region,
+        actual: record.country,
+      });
+    }
+
+    if (
+      route.state &&
+      record.region &&
+      this.normalize(route.state) !== this.normalize(record.region)
+    ) {
+      mismatches.push({
+        field: "state",
+        expected: route.state,
+        actual: record.region,
+      });
+    }
+
+    if (
+      route.city &&
+      record.city &&
+      this.normalize(route.city) !== this.normalize(record.city)
+    ) {
+      mismatches.push({
+        field: "city",
+        expected: route.city,
+        actual: record.city,
+      });
+    }
+
+    return mismatches;
+  }
+
+  /**
+   * Compare a container's latest IP record with its route
+   */
+  async check(cookieStoreId, record) {
+    const route = this.proxyRouter.getRoute(cookieStoreId);
+
+    // Records from before the current session describe an old exit
+    if (
+      !route ||
+      (route.issuedAt && Date.parse(record.timestamp) < route.issuedAt)
+    ) {
+      return;
+    }
+
+    const mismatches = this.compare(route, record);
+    const data = await browser.storage.local.get(this.storageKey);
+    const flagged = data[this.storageKey] || {};
+
+    if (mismatches.length === 0) {
+      this.autoRotations.delete(cookieStoreId);
+
+      if (flagged[cookieStoreId]) {
+        delete flagged[cookieStoreId];
+        await browser.storage.local.set({ [this.storageKey]: flagged });
+      }
+      return;
+    }
+
+    const isNew =
+      !flagged[cookieStoreId] ||
+      flagged[cookieStoreId].sessionId !== route.sessionId;
+
+    flagged[cookieStoreId] = {
+      mismatches,
+      ip: record.ip,
+      location: record.location,
+      sessionId: route.sessionId || null,
+      detectedAt: Date.now(),
+    };
+    await browser.storage.local.set({ [this.storageKey]: flagged });
+
+    const settings = await this.getSettings();
+    const rotated = settings.autoRotate
+      ? await this.autoRotate(cookieStoreId, route)
+      : false;
+
+    if (isNew) {
+      this.notify(route, record, mismatches, rotated);
+    }
+  }
+
+  /**
+   * Give a mismatched sticky session a new IP
+   * The background looks the new session up, which checks it again
+   */
+  async autoRotate(cookieStoreId, route) {
+    const attempts = this.autoRotations.get(cookieStoreId) || 0;
+
+    if (route.sessionMode !== "sticky" || attempts >= this.maxAutoRotations) {
+      return false;
+    }
+
+    this.autoRotations.set(cookieStoreId, attempts + 1);
+
+    try {
+      await this.sessionScheduler.rotate(cookieStoreId, "geo-mismatch");
+      return true;
+    } catch (error) {
+      console.error(`❌ Auto-rotate after geo mismatch failed:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Tell the user where the container actually exits
+   */
+  notify(route, record, mismatches, rotated) {
+    const expected = mismatches
+      .map((mismatch) => `${mismatch.field} ${mismatch.expected}`)
+      .join(", ");
+
+    browser.notifications.create(
+      `geo-mismatch-${route.sessionId || route.title}`,
+      {
+        type: "basic",
+        iconUrl: "icon48.png",
+        title: "922Proxy - Location Mismatch",
+        message: `"${route.title}" exits from ${record.location} (${
+          record.ip
+        }) instead of ${expected}.${
+          rotated ? " Rotating to a new session." : ""
+        }`,
+      }
+    );
+  }
+
+  /**
+   * Forget a container's mismatch, e.g. when it is removed
+   */
+  async clear(cookieStoreId) {
+    this.autoRotations.delete(cookieStoreId);
+
+    const data = await browser.storage.local.get(this.storageKey);
+    const flagged = data[this.storageKey] || {};
+
+    if (flagged[cookieStoreId]) {
+      delete flagged[cookieStoreId];
+      await browser.storage.local.set({ [this.storageKey]: flagged });
+    }
+  }
+}
+
+// Export for use in background.js
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = GeoMismatchService;
+}
@@ -0,0 +1,120 @@
+/**
+ * GeoTargetService - State and city lookup data for geo-targeted proxies
+ * Feeds the searchable state/city pickers in the popup
+ */
+
+class GeoTargetService {
+  constructor() {
+    // Major cities per state; users can still type any city name
+    this.locations = {
+      US: {
+        Alabama: ["Birmingham", "Montgomery", "Huntsville", "Mobile"],
+        Alaska: ["Anchorage", "Fairbanks", "Juneau"],
+        Arizona: ["Phoenix", "Tucson", "Mesa", "Scottsdale"],
+        Arkansas: ["Little Rock", "Fayetteville", "Fort Smith"],
+        California: [
+          "Los Angeles",
+          "San Francisco",
+          "San Diego",
+          "San Jose",
+          "Sacramento",
+          "Fresno",
+        ],
+        Colorado: ["Denver", "Colorado Springs", "Aurora", "Boulder"],
+        Connecticut: ["Hartford", "New Haven", "Stamford", "Bridgeport"],
+        Delaware: ["Wilmington", "Dover", "Newark"],
+        "District of Columbia": ["Washington"],
+        Florida: ["Miami", "Orlando", "Tampa", "Jacksonville", "Tallahassee"],
+        Georgia: ["Atlanta", "Savannah", "Augusta", "Columbus"],
+        Hawaii: ["Honolulu", "Hilo"],
+        Idaho: ["Boise", "Idaho Falls", "Meridian"],
+        Illinois: ["Chicago", "Springfield", "Naperville", "Aurora"],
+        Indiana: ["Indianapolis", "Fort Wayne", "Evansville"],
+        Iowa: ["Des Moines", "Cedar Rapids", "Davenport"],
+        Kansas: ["Wichita", "Overland Park", "Kansas City", "Topeka"],
+        Kentucky: ["Louisville", "Lexington", "Bowling Green"],
+        Louisiana: ["New Orleans", "Baton Rouge", "Shreveport"],
+        Maine: ["Portland", "Bangor", "Augusta"],
+        Maryland: ["Baltimore", "Annapolis", "Rockville"],
+        Massachusetts: ["Boston", "Worcester", "Springfield", "Cambridge"],
+        Michigan: ["Detroit", "Grand Rapids", "Lansing", "Ann Arbor"],
+        Minnesota: ["Minneapolis", "Saint Paul", "Rochester"],
+        Mississippi: ["Jackson", "Gulfport", "Hattiesburg"],
+        Missouri: ["Kansas City", "Saint Louis", "Springfield"],
+        Montana: ["Billings", "Missoula", "Helena"],
+        Nebraska: ["Omaha", "Lincoln"],
+        Nevada: ["Las Vegas", "Reno", "Henderson"],
+        "New Hampshire": ["Manchester", "Nashua", "Concord"],
+        "New Jersey": ["Newark", "Jersey City", "Trenton"],
+        "New Mexico": ["Albuquerque", "Santa Fe", "Las Cruces"],
+        "New York": ["New York", "Buffalo", "Rochester", "Albany"],
+        "North Carolina": ["Charlotte", "Raleigh", "Greensboro", "Durham"],
+        "North Dakota": ["Fargo", "Bismarck"],
+        Ohio: ["Columbus", "Cleveland", "Cincinnati", "Toledo"],
+        Oklahoma: ["Oklahoma City", "Tulsa", "Norman"],
+        Oregon: ["Portland", "Salem", "Eugene"],
+        Pennsylvania: ["Philadelphia", "Pittsburgh", "Harrisburg"],
+        "Rhode Island": ["Providence", "Warwick"],
+        "South Carolina": ["Columbia", "Charleston", "Greenville"],
+        "South Dakota": ["Sioux Falls", "Rapid City"],
+        Tennessee: ["Nashville", "Memphis", "Knoxville", "Chattanooga"],
+        Texas: ["Houston", "Dallas", "Austin", "San Antonio", "El Paso"],
+        Utah: ["Salt Lake City", "Provo", "Ogden"],
+        Vermont: ["Burlington", "Montpelier"],
+        Virginia: ["Virginia Beach", "Richmond", "Norfolk", "Arlington"],
+        Washington: ["Seattle", "Spokane", "Tacoma", "Bellevue"],
+        "West Virginia": ["Charleston", "Huntington", "Morgantown"],
+        Wisconsin: ["Milwaukee", "Madison", "Green Bay"],
+        Wyoming: ["Cheyenne", "Casper"],
+      },
+    };
+  }
+
+  /**
+   * Get state names for a country, sorted alphabetically
+   */
+  getStates(country) {
+    return Object.keys(this.locations[country] || {}).sort();
+  }
+
+  /**
+   * Get known cities for a state, or every city in the country
+   */
+  getCities(country, state = "") {
+    const states = this.locations[country] || {};
+
+    if (state) {
+      const match = Object.keys(states).find(
+        (name) => name.toLowerCase() === state.trim().toLowerCase()
+      );
+      return match ? states[match].slice().sort() : [];
+    }
+
+    const cities = new Set();
+    Object.values(states).forEach((list) => {
+      list.forEach((city) => cities.add(city));
+    });
+    return Array.from(cities).sort();
+  }
+
+  /**
+   * Replace a datalist's options with the given values
+   */
+  fillDatalist(datalist, values) {
+    if (!datalist) {
+      return;
+    }
+
+    datalist.textContent = "";
+    values.forEach((value) => {
+      const option = document.createElement("option");
+      option.value = value;
+      datalist.appendChild(option);
+    });
+  }
+}
+
+// Export for use in popup.js
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = GeoTargetService;
+}
@@ -0,0 +1,168 @@
+/**
+ * HealthChecker - Probes generated proxy entries before they are exported
+ * Each probe request is routed through one entry via ProxyRouter's
+ * temporary probe routes and records success, latency and exit IP
+ */
+
+class HealthChecker {
+  constructor(proxyRouter = null) {
+    this.settingsKey = "health_check_settings";
+    this.proxyRouter = proxyRouter;
+
+    // ipField is a dotted path into the JSON response; empty means plain text
+    this.defaultSettings = {
+      probeUrl: "https://ipinfo.io/json",
+      ipField: "ip",
+      timeoutSeconds: 10,
+      concurrency: 4,
+    };
+  }
+
+  /**
+   * Load probe settings merged over the defaults
+   */
+  async getSettings() {
+    try {
+      const data = await browser.storage.local.get(this.settingsKey);
+      return Object.assign({}, this.defaultSettings, data[this.settingsKey]);
+    } catch (error) {
+      console.error("❌ Failed to load health check settings:", error);
+      return Object.assign({}, this.defaultSettings);
+    }
+  }
+
+  /**
+   * Validate and persist probe settings
+   */
+  async saveSettings(settings) {
+    let url;
+    try {
+      url = new URL(settings.probeUrl);
+    } catch (error) {
+      throw new Error("Probe URL is not a valid URL");
+    }
+
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      throw new Error("Probe URL must use http or https");
+    }
+
+    const timeoutSeconds = parseInt(settings.timeoutSeconds, 10);
+    if (!timeoutSeconds || timeoutSeconds < 1 || timeoutSeconds > 60) {
+      throw new Error("Timeout must be between 1 and 60 seconds");
+    }
+
+    const saved = Object.assign({}, this.defaultSettings, {
+      probeUrl: url.href,
+      ipField: String(settings.ipField || "").trim(),
+      timeoutSeconds,
+    });
+
+    await browser.storage.local.set({ [this.settingsKey]: saved });
+    return saved;
+  }
+
+  /**
+   * Probe every entry, a few at a time, and return results in entry order
+   */
+  async checkEntries(entries) {
+    if (!this.proxyRouter) {
+      throw new Error("Health checks need the background proxy router");
+    }
+
+    const settings = await this.getSettings();
+    const results = new Array(entries.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < entries.length) {
+        const index = next++;
+        results[index] = await this.probe(entries[index], settings);
+      }
+    };
+
+    const workers = Math.max(1, Math.min(settings.concurrency, entries.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    const alive = results.filter((result) => result.alive).length;
+    console.log(`✅ Health check: ${alive}/${results.length} proxies alive`);
+    return results;
+  }
+
+  /**
+   * Send one probe request through an entry
+   */
+  async probe(entry, settings) {
+    const token = this.proxyRouter.addProbe(entry);
+    const controller = new AbortController();
+    const timer = setTimeout(
+      () => controller.abort(),
+      settings.timeoutSeconds * 1000
+    );
+    const result = {
+      id: entry.id,
+      title: entry.title,
+      type: entry.type,
+      alive: false,
+      latency: null,
+      ip: null,
+      error: null,
+      checkedAt: Date.now(),
+    };
+
+    const startedAt = performance.now();
+
+    try {
+      const response = await fetch(
+        this.proxyRouter.getProbeUrl(settings.probeUrl, token),
+        {
+          cache: "no-store",
+          credentials: "omit",
+          signal: controller.signal,
+        }
+      );
+
+      result.latency = Math.round(performance.now() - startedAt);
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      result.ip = this.extractIp(await response.text(), settings.ipField);
+      result.alive = true;
+    } catch (error) {
+      result.error =
+        error.name === "AbortError" ? "Timed out" : error.message || "Failed";
+    } finally {
+      clearTimeout(timer);
+      this.proxyRouter.removeProbe(token);
+    }
+
+    return result;
+  }
+
+  /**
+   * Read the exit IP from a probe response body
+   */
+  extractIp(body, ipField) {
+    if (!ipField) {
+      return body.trim() || null;
+    }
+
+    try {
+      const value = ipField
+        .split(".")
+        .reduce(
+          (current, key) => (current == null ? undefined : current[key]),
+          JSON.parse(body)
+        );
+      return value == null ? null : String(value);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// Export for use in background.js and options.js
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = HealthChecker;
+}
@@ -0,0 +1,112 @@
+/**
+ * IdentityResetService - Gives a burned container a fresh identity
+ * Wipes the container's cookies and site data, rotates its proxy session
+ * and reloads its tabs so nothing from the old identity carries over
+ */
+
+class IdentityResetService {
+  constructor(proxyRouter, sessionScheduler) {
+    this.proxyRouter = proxyRouter;
+    this.sessionScheduler = sessionScheduler;
+
+    // Site data browsingData can scope to one cookieStoreId
+    this.containerDataTypes = {
+      cookies: true,
+      localStorage: true,
+      indexedDB: true,
+      serviceWorkers: true,
+    };
+  }
+
+  /**
+   * Reset a container and report what was done
+   * Firefox keeps one HTTP cache for all containers and normal tabs, so it
+   * is only cleared when options.clearCache is set
+   */
+  async reset(cookieStoreId, options = {}) {
+    const cookies = await this.removeCookies(cookieStoreId);
+
+    await browser.browsingData.remove(
+      { cookieStoreId },
+      this.containerDataTypes
+    );
+
+    if (options.clearCache) {
+      await browser.browsingData.removeCache({});
+    }
+
+    const rotated = await this.rotateSession(cookieStoreId);
+    const tabs = await this.reloadTabs(cookieStoreId);
+
+    console.log(
+      `✅ Reset identity of ${cookieStoreId}: ${cookies} cookies, ${tabs} tabs reloaded`
+    );
+    return { cookies, rotated, tabs, cacheCleared: !!options.clearCache };
+  }
+
+  /**
+   * Remove every cookie in the container, including first-party isolated
+   * and partitioned ones that browsingData may miss
+   */
+  async removeCookies(cookieStoreId) {
+    const cookies = await browser.cookies.getAll({
+      storeId: cookieStoreId,
+      firstPartyDomain: null,
+      partitionKey: {},
+    });
+
+    await Promise.all(
+      cookies.map((cookie) =>
+        browser.cookies.remove({
+          url: this.getCookieUrl(cookie),
+          name: cookie.name,
+          storeId: cookieStoreId,
+          firstPartyDomain: cookie.firstPartyDomain,
+          partitionKey: cookie.partitionKey,
+        })
+      )
+    );
+
+    return cookies.length;
+  }
+
+  /**
+   * Build the URL cookies.remove needs to match a cookie
+   */
+  getCookieUrl(cookie) {
+    const host = cookie.domain.replace(/^\./, "");
+    return `http${cookie.secure ? "s" : ""}://${host}${cookie.path}`;
+  }
+
+  /**
+   * Swap a sticky session for a new one
+   * Rotating sessions already change IP per request and are left alone
+   */
+  async rotateSession(cookieStoreId) {
+    const route = this.proxyRouter.getRoute(cookieStoreId);
+    if (!route || !route.sessionId) {
+      return false;
+    }
+
+    await this.sessionScheduler.rotate(cookieStoreId, "identity-reset");
+    return true;
+  }
+
+  /**
+   * Reload the container's open tabs without the cache
+   */
+  async reloadTabs(cookieStoreId) {
+    const tabs = await browser.tabs.query({ cookieStoreId });
+
+    await Promise.all(
+      tabs.map((tab) => browser.tabs.reload(tab.id, { bypassCache: true }))
+    );
+
+    return tabs.length;
+  }
+}
+
+// Export for use in background.js
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = IdentityResetService;
+}
@@ -0,0 +1,240 @@
+/**
+ * IpConflictService - Detects containers sharing an exit IP or /24
+ * Cross-checks the ip_<cookieStoreId> records and publishes conflicts
+ * for the popup banner, with one notification per new conflict
+ * Also re-checks on assignment changes, since a new session makes old records stale
+ */
+
+class IpConflictService {
+  constructor(proxyRouter) {
+    this.storageKey = "exit_ip_conflicts";
+    this.proxyRouter = proxyRouter;
+
+    // Matches ip_<cookieStoreId> records but not other ip_ prefixed keys
+    this.recordPattern = /^ip_(firefox-.+)$/;
+    this.ipv4Pattern = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+
+    // Conflict signatures already notified, so each is announced once
+    this.notified = new Set();
+
+    // cookieStoreId -> latest ip_<cookieStoreId> record, kept in sync with
+    // storage changes so a check never has to read all of storage
+    this.records = new Map();
+
+    this.handleStorageChange = this.handleStorageChange.bind(this);
+  }
+
+  /**
+   * Check stored records and watch for new ones
+   */
+  async initialize() {
+    await this.loadRecords();
+    const conflicts = await this.refresh();
+    conflicts.forEach((conflict) =>
+      this.notified.add(this.getSignature(conflict))
+    );
+
+    browser.storage.onChanged.addListener(this.handleStorageChange);
+    this.proxyRouter.assignmentStore.subscribe(() => this.scheduleRefresh());
+    console.log(
+      `✅ IP conflict check initialized with ${conflicts.length} conflicts`
+    );
+  }
+
+  /**
+   * Read the IP records of the existing containers
+   */
+  async loadRecords() {
+    const containers = await browser.contextualIdentities.query({});
+    const data = await browser.storage.local.get(
+      containers.map((container) => `ip_${container.cookieStoreId}`)
+    );
+
+    this.records.clear();
+    Object.entries(data).forEach(([key, record]) =>
+      this.setRecord(key, record)
+    );
+  }
+
+  /**
+   * Update the record of an ip_<cookieStoreId> key; returns false for other keys
+   */
+  setRecord(key, record) {
+    const match = this.recordPattern.exec(key);
+    if (!match) {
+      return false;
+    }
+
+    if (record && record.ip) {
+      this.records.set(match[1], record);
+    } else {
+      this.records.delete(match[1]);
+    }
+    return true;
+  }
+
+  /**
+   * Re-check when an IP record changes
+   */
+  handleStorageChange(changes, areaName) {
+    if (areaName !== "local") {
+      return;
+    }
+
+    const changed = Object.entries(changes).filter(([key, change]) =>
+      this.setRecord(key, change.newValue)
+    );
+
+    if (changed.length > 0) {
+      this.scheduleRefresh();
+    }
+  }
+
+  /**
+   * Re-check in the background, logging failures
+   */
+  scheduleRefresh() {
+    this.refresh().catch((error) => {
+      console.error("❌ Failed to check exit IP conflicts:", error);
+    });
+  }
+
+  /**
+   * Recompute conflicts, store them and notify about new ones
+   */
+  async refresh() {
+    const records = [];
+
+    this.records.forEach((record, cookieStoreId) => {
+      if (!this.isStale(cookieStoreId, record)) {
+        records.push({
+          cookieStoreId,
+          ip: String(record.ip).trim(),
+          timestamp: record.timestamp,
+        });
+      }
+    });
+
+    const conflicts = await this.nameContainers(this.findConflicts(records));
+    await browser.storage.local.set({
+      [this.storageKey]: { conflicts, checkedAt: Date.now() },
+    });
+
+    const signatures = new Set(conflicts.map(this.getSignature));
+    conflicts
+      .filter((conflict) => !this.notified.has(this.getSignature(conflict)))
+      .forEach((conflict) => this.notify(conflict));
+    this.notified = signatures;
+
+    return conflicts;
+  }
+
+  /**
+   * A record taken before the container's current session no longer applies
+   */
+  isStale(cookieStoreId, record) {
+    const route = this.proxyRouter.getRoute(cookieStoreId);
+    const detectedAt = Date.parse(record.timestamp);
+
+    return !!(route && route.issuedAt && detectedAt < route.issuedAt);
+  }
+
+  /**
+   * Get the /24 of an IPv4 address; other addresses only match exactly
+   */
+  getSubnet(ip) {
+    const match = this.ipv4Pattern.exec(ip);
+    return match ? `${match[1]}.${match[2]}.${match[3]}.0/24` : ip;
+  }
+
+  /**
+   * Group records sharing a /24 into conflicts, oldest detection first
+   * kind is "ip" when at least two containers share the exact address
+   */
+  findConflicts(records) {
+    const groups = new Map();
+
+    records.forEach((record) => {
+      const subnet = this.getSubnet(record.ip);
+      if (!groups.has(subnet)) {
+        groups.set(subnet, []);
+      }
+      groups.get(subnet).push(record);
+    });
+
+    return Array.from(groups.entries())
+      .filter(([, members]) => members.length > 1)
+      .map(([subnet, members]) => {
+        members.sort(
+          (a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp)
+        );
+        const uniqueIps = new Set(members.map((member) => member.ip));
+
+        return {
+          kind: uniqueIps.size < members.length ? "ip" : "subnet",
+          key: uniqueIps.size === 1 ? members[0].ip : subnet,
+          containers: members.map((member, index) => ({
+            ...member,
+            // Later arrivals are the ones to rotate away
+            offending: index > 0,
+            routed: !!this.proxyRouter.getRoute(member.cookieStoreId),
+          })),
+        };
+      });
+  }
+
+  /**
+   * Add container names for display
+   */
+  async nameContainers(conflicts) {
+    await Promise.all(
+      conflicts.flatMap((conflict) =>
+        conflict.containers.map(async (container) => {
+          try {
+            const identity = await browser.contextualIdentities.get(
+              container.cookieStoreId
+            );
+            container.name = identity.name;
+          } catch (error) {
+            container.name = container.cookieStoreId;
+          }
+        })
+      )
+    );
+
+    return conflicts;
+  }
+
+  /**
+   * Identify a conflict by its address and members
+   */
+  getSignature(conflict) {
+    return `${conflict.key}|${conflict.containers
+      .map((container) => container.cookieStoreId)
+      .sort()
+      .join(",")}`;
+  }
+
+  /**
+   * Warn that containers are no longer isolated from each other
+   */
+  notify(conflict) {
+    const names = conflict.containers
+      .map((container) => container.name)
+      .join(", ");
+    const what =
+      conflict.kind === "ip" ? `exit IP ${conflict.key}` : conflict.key;
+
+    browser.notifications.create(`ip-conflict-${conflict.key}`, {
+      type: "basic",
+      iconUrl: "icon48.png",
+      title: "922Proxy - Shared Exit IP",
+      message: `${names} share ${what}. Rotate a session from the popup to restore isolation.`,
+    });
+  }
+}
+
+// Export for use in background.js
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = IpConflictService;
+}
@@ -0,0 +1,373 @@
+/**
+ * IpLookupService - Looks up a container's exit IP from a JSON endpoint
+ * Routed containers are looked up from the background page through their
+ * route using ProxyRouter's probe routes; other containers (e.g. proxied by
+ * an imported FoxyProxy config) from a background tab opened in the
+ * container. The result is stored in ip_<cookieStoreId> and appended to a
+ * capped ip_history_<cookieStoreId> list
+ */
+
+class IpLookupService {
+  constructor(proxyRouter = null) {
+    this.settingsKey = "ip_lookup_settings";
+    this.proxyRouter = proxyRouter;
+    this.timeoutSeconds = 15;
+    this.historyLimit = 100;
+
+    // Field mappings are dotted paths into the provider's JSON response
+    this.presets = {
+      ipinfo: {
+        label: "ipinfo.io",
+        url: "https://ipinfo.io/json",
+        fields: {
+          ip: "ip",
+          city: "city",
+          region: "region",
+          country: "country",
+          org: "org",
+        },
+      },
+      "ip-api": {
+        label: "ip-api.com",
+        url: "http://ip-api.com/json",
+        fields: {
+          ip: "query",
+          city: "city",
+          region: "regionName",
+          country: "countryCode",
+          org: "isp",
+        },
+      },
+    };
+
+    this.defaultSettings = {
+      provider: "ipinfo",
+      customUrl: "",
+      fields: Object.assign({}, this.presets.ipinfo.fields),
+    };
+  }
+
+  /**
+   * Load lookup settings merged over the defaults
+   */
+  async getSettings() {
+    try {
+      const data = await browser.storage.local.get(this.settingsKey);
+      return Object.assign({}, this.defaultSettings, data[this.settingsKey]);
+    } catch (error) {
+      console.error("❌ Failed to load IP lookup settings:", error);
+      return Object.assign({}, this.defaultSettings);
+    }
+  }
+
+  /**
+   * Validate and persist lookup settings
+   * Preset providers always use their own field mapping
+   */
+  async saveSettings(settings) {
+    const provider = settings.provider;
+    let saved;
+
+    if (this.presets[provider]) {
+      saved = {
+        provider,
+        customUrl: "",
+        fields: Object.assign({}, this.presets[provider].fields),
+      };
+    } else if (provider === "custom") {
+      let url;
+      try {
+        url = new URL(settings.customUrl);
+      } catch (error) {
+        throw new Error("Lookup URL is not a valid URL");
+      }
+
+      if (url.protocol !== "http:" && url.protocol !== "https:") {
+        throw new Error("Lookup URL must use http or https");
+      }
+
+      const fields = {};
+      Object.entries(settings.fields || {}).forEach(([key, path]) => {
+        fields[key] = String(path || "").trim();
+      });
+
+      if (!fields.ip) {
+        throw new Error("The IP field mapping is required");
+      }
+
+      saved = { provider, customUrl: url.href, fields };
+    } else {
+      throw new Error(`Unknown IP lookup provider: ${provider}`);
+    }
+
+    await browser.storage.local.set({ [this.settingsKey]: saved });
+    return saved;
+  }
+
+  /**
+   * Get the lookup URL for the configured provider
+   */
+  getLookupUrl(settings) {
+    return settings.provider === "custom"
+      ? settings.customUrl
+      : this.presets[settings.provider].url;
+  }
+
+  /**
+   * Fetch the exit IP of a container and store it in ip_<cookieStoreId>
+   */
+  async lookup(cookieStoreId) {
+    const route = this.proxyRouter.getRoute(cookieStoreId);
+    const settings = await this.getSettings();
+    const url = this.getLookupUrl(settings);
+
+    const data = route
+      ? await this.fetchThroughRoute(route, url)
+      : await this.fetchInContainer(cookieStoreId, url);
+
+    const record = this.toRecord(data, settings.fields);
+    record.source = settings.provider;
+
+    await browser.storage.local.set({ [`ip_${cookieStoreId}`]: record });
+    await this.appendHistory(cookieStoreId, record, route);
+    console.log(`✅ Exit IP for ${cookieStoreId}: ${record.ip}`);
+    return record;
+  }
+
+  /**
+   * Fetch the lookup URL from the background page through a proxy route
+   */
+  async fetchThroughRoute(route, url) {
+    const token = this.proxyRouter.addProbe({
+      ...route,
+      password: this.proxyRouter.password,
+    });
+    const controller = new AbortController();
+    const timer = setTimeout(
+      () => controller.abort(),
+      this.timeoutSeconds * 1000
+    );
+
+    try {
+      const response = await fetch(this.proxyRouter.getProbeUrl(url, token), {
+        cache: "no-store",
+        credentials: "omit",
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        throw new Error(`Lookup failed with HTTP ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      if (error.name === "AbortError") {
+        throw new Error("IP lookup timed out");
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      this.proxyRouter.removeProbe(token);
+    }
+  }
+
+  /**
+   * Load the lookup URL in a background tab of a container, so it leaves
+   * through whatever proxy the container uses, and read the response body
+   * as it passes through. The tab is closed afterwards
+   */
+  async fetchInContainer(cookieStoreId, url) {
+    const tab = await browser.tabs.create({
+      url: "about:blank",
+      cookieStoreId,
+      active: false,
+    });
+    const filter = {
+      urls: ["<all_urls>"],
+      tabId: tab.id,
+      types: ["main_frame"],
+    };
+    let handleHeaders = null;
+    let handleError = null;
+    let timer = null;
+
+    try {
+      const body = await new Promise((resolve, reject) => {
+        timer = setTimeout(
+          () => reject(new Error("IP lookup timed out")),
+          this.timeoutSeconds * 1000
+        );
+
+        handleHeaders = (details) => {
+          if (details.statusCode < 200 || details.statusCode >= 300) {
+            reject(new Error(`Lookup failed with HTTP ${details.statusCode}`));
+            return { cancel: true };
+          }
+
+          const stream = browser.webRequest.filterResponseData(
+            details.requestId
+          );
+          const decoder = new TextDecoder("utf-8");
+          let text = "";
+
+          stream.ondata = (event) => {
+            text += decoder.decode(event.data, { stream: true });
+            stream.write(event.data);
+          };
+          stream.onstop = () => {
+            stream.close();
+            resolve(text + decoder.decode());
+          };
+          stream.onerror = () => {
+            reject(new Error(`IP lookup failed: ${stream.error}`));
+          };
+          return {};
+        };
+
+        // Proxy errors end the navigation without a response
+        handleError = (details) => {
+          reject(new Error(`IP lookup failed: ${details.error}`));
+        };
+
+        browser.webRequest.onHeadersReceived.addListener(
+          handleHeaders,
+          filter,
+          ["blocking"]
+        );
+        browser.webRequest.onErrorOccurred.addListener(handleError, filter);
+        browser.tabs.update(tab.id, { url }).catch(reject);
+      });
+
+      try {
+        return JSON.parse(body);
+      } catch (error) {
+        throw new Error("Lookup response is not JSON");
+      }
+    } finally {
+      clearTimeout(timer);
+      browser.webRequest.onHeadersReceived.removeListener(handleHeaders);
+      browser.webRequest.onErrorOccurred.removeListener(handleError);
+      await browser.tabs.remove(tab.id).catch(() => {});
+    }
+  }
+
+  /**
+   * Get the storage key of a container's IP history
+   */
+  getHistoryKey(cookieStoreId) {
+    return `ip_history_${cookieStoreId}`;
+  }
+
+  /**
+   * Get a container's IP history, oldest first
+   */
+  async getHistory(cookieStoreId) {
+    const key = this.getHistoryKey(cookieStoreId);
+    const data = await browser.storage.local.get(key);
+    return data[key] || [];
+  }
+
+  /**
+   * Record a lookup with the session that was active, dropping the oldest
+   * Unrouted containers are recorded without a session or proxy
+   */
+  async appendHistory(cookieStoreId, record, route) {
+    const history = await this.getHistory(cookieStoreId);
+
+    history.push({
+      timestamp: record.timestamp,
+      ip: record.ip,
+      city: record.city,
+      region: record.region,
+      country: record.country,
+      location: record.location,
+      sessionId: (route && route.sessionId) || null,
+      proxy: route ? route.title : "",
+    });
+
+    await browser.storage.local.set({
+      [this.getHistoryKey(cookieStoreId)]: history.slice(-this.historyLimit),
+    });
+  }
+
+  /**
+   * Format a container's IP history as CSV for audit reports
+   */
+  historyToCsv(history, containerName) {
+    const columns = [
+      "timestamp",
+      "container",
+      "ip",
+      "city",
+      "region",
+      "country",
+      "session_id",
+      "proxy",
+    ];
+    const escape = (value) => {
+      const text = value == null ? "" : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = history.map((entry) =>
+      [
+        entry.timestamp,
+        containerName,
+        entry.ip,
+        entry.city,
+        entry.region,
+        entry.country,
+        entry.sessionId,
+        entry.proxy,
+      ]
+        .map(escape)
+        .join(",")
+    );
+
+    return [columns.join(","), ...rows].join("\r\n");
+  }
+
+  /**
+   * Map a provider response onto the ip_<cookieStoreId> record
+   */
+  toRecord(data, fields) {
+    const read = (path) => {
+      if (!path) {
+        return "";
+      }
+
+      const value = path
+        .split(".")
+        .reduce(
+          (current, key) => (current == null ? undefined : current[key]),
+          data
+        );
+      return value == null ? "" : String(value);
+    };
+
+    const ip = read(fields.ip);
+    if (!ip) {
+      throw new Error("Lookup response did not contain an IP address");
+    }
+
+    const record = {
+      ip,
+      city: read(fields.city),
+      region: read(fields.region),
+      country: read(fields.country),
+      org: read(fields.org),
+      timestamp: new Date().toISOString(),
+    };
+
+    record.location =
+      [record.city, record.region, record.country].filter(Boolean).join(", ") ||
+      "Location not detected";
+
+    return record;
+  }
+}
+
+// Export for use in background.js, popup.js and options.js
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = IpLookupService;
+}
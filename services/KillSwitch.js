@@ -0,0 +1,283 @@
+/**
+ * KillSwitch - Blocks container traffic when its proxy is down or unassigned
+ * Protected containers never fall back to a direct connection; a proxy
+ * marked down is probed every minute and unblocked once it answers again
+ */
+
+class KillSwitch {
+  constructor(proxyRouter, healthChecker = null) {
+    this.storageKey = "kill_switch_containers";
+    this.alarmName = "firefoxy-kill-switch-recovery";
+    this.proxyRouter = proxyRouter;
+    this.healthChecker = healthChecker;
+    this.enabled = new Set();
+    this.blocked = new Set();
+
+    // Errors that mean the proxy itself failed rather than the site
+    this.proxyErrorPattern = /PROXY|SOCKS/i;
+
+    // Proxy errors in a row, with no successful request in between, before
+    // a route is marked down; one dropped connection is not an outage
+    this.failureThreshold = 3;
+    this.failures = new Map();
+
+    this.handleBeforeRequest = this.handleBeforeRequest.bind(this);
+    this.handleRequestCompleted = this.handleRequestCompleted.bind(this);
+    this.handleRequestError = this.handleRequestError.bind(this);
+    this.handleAlarm = this.handleAlarm.bind(this);
+    this.handleStorageChange = this.handleStorageChange.bind(this);
+  }
+
+  /**
+   * Load protected containers and start filtering requests
+   */
+  async initialize() {
+    try {
+      const data = await browser.storage.local.get(this.storageKey);
+      this.enabled = new Set(data[this.storageKey] || []);
+    } catch (error) {
+      console.error("❌ Failed to load kill switch settings:", error);
+    }
+
+    browser.webRequest.onBeforeRequest.addListener(
+      this.handleBeforeRequest,
+      { urls: ["<all_urls>"] },
+      ["blocking"]
+    );
+    browser.webRequest.onCompleted.addListener(this.handleRequestCompleted, {
+      urls: ["<all_urls>"],
+    });
+    browser.webRequest.onErrorOccurred.addListener(this.handleRequestError, {
+      urls: ["<all_urls>"],
+    });
+    browser.storage.onChanged.addListener(this.handleStorageChange);
+
+    if (this.healthChecker) {
+      browser.alarms.create(this.alarmName, { periodInMinutes: 1 });
+      browser.alarms.onAlarm.addListener(this.handleAlarm);
+    }
+
+    console.log(
+      `✅ Kill switch initialized for ${this.enabled.size} containers`
+    );
+  }
+
+  /**
+   * Enable or disable the kill switch for a container
+   */
+  async setEnabled(cookieStoreId, enabled) {
+    if (enabled) {
+      this.enabled.add(cookieStoreId);
+    } else {
+      this.enabled.delete(cookieStoreId);
+      this.failures.delete(cookieStoreId);
+      await this.release(cookieStoreId);
+    }
+
+    await browser.storage.local.set({
+      [this.storageKey]: Array.from(this.enabled),
+    });
+  }
+
+  /**
+   * Get all containers protected by the kill switch
+   */
+  getEnabledContainers() {
+    return Array.from(this.enabled);
+  }
+
+  /**
+   * Check whether a container's traffic must be blocked
+   */
+  isBlocked(cookieStoreId) {
+    if (!this.enabled.has(cookieStoreId)) {
+      return false;
+    }
+
+    const route = this.proxyRouter.getRoute(cookieStoreId);
+    return !route || !!route.downAt || !!route.authFailedAt;
+  }
+
+  /**
+   * Describe why a container is blocked
+   */
+  getBlockReason(cookieStoreId) {
+    const route = this.proxyRouter.getRoute(cookieStoreId);
+
+    if (!route) {
+      return "no proxy is assigned";
+    }
+
+    if (route.authFailedAt) {
+      return `proxy "${route.title}" rejected the credentials`;
+    }
+
+    return `proxy "${route.title}" is unreachable`;
+  }
+
+  /**
+   * Cancel requests from blocked containers
+   */
+  handleBeforeRequest(details) {
+    if (!this.isBlocked(details.cookieStoreId)) {
+      return {};
+    }
+
+    this.reportBlocked(details.cookieStoreId, details.tabId);
+    return { cancel: true };
+  }
+
+  /**
+   * A request that got through means the proxy is working
+   */
+  handleRequestCompleted(details) {
+    this.failures.delete(details.cookieStoreId);
+  }
+
+  /**
+   * Mark a protected container's proxy as down after repeated proxy errors
+   */
+  handleRequestError(details) {
+    const cookieStoreId = details.cookieStoreId;
+
+    if (
+      !this.enabled.has(cookieStoreId) ||
+      !this.proxyErrorPattern.test(details.error)
+    ) {
+      return;
+    }
+
+    const route = this.proxyRouter.getRoute(cookieStoreId);
+    if (!route || route.downAt) {
+      return;
+    }
+
+    const failures = (this.failures.get(cookieStoreId) || 0) + 1;
+    this.failures.set(cookieStoreId, failures);
+
+    if (failures < this.failureThreshold) {
+      return;
+    }
+
+    this.failures.delete(cookieStoreId);
+    this.proxyRouter.markDown(cookieStoreId, details.error).catch((error) => {
+      console.error("❌ Failed to mark proxy as down:", error);
+    });
+  }
+
+  /**
+   * Probe failed routes on each alarm tick
+   */
+  handleAlarm(alarm) {
+    if (alarm.name !== this.alarmName) {
+      return;
+    }
+
+    this.probeFailedRoutes().catch((error) => {
+      console.error("❌ Kill switch recovery check failed:", error);
+    });
+  }
+
+  /**
+   * Send a probe through each protected route marked down or rejected, and
+   * clear the failure when it gets through with the route's credentials
+   */
+  async probeFailedRoutes() {
+    const failed = Array.from(this.enabled)
+      .map((cookieStoreId) => [
+        cookieStoreId,
+        this.proxyRouter.getRoute(cookieStoreId),
+      ])
+      .filter(([, route]) => route && (route.downAt || route.authFailedAt));
+
+    if (failed.length === 0) {
+      return;
+    }
+
+    const settings = await this.healthChecker.getSettings();
+
+    for (const [cookieStoreId, route] of failed) {
+      const result = await this.healthChecker.probe(
+        { ...route, password: this.proxyRouter.password },
+        settings
+      );
+
+      if (result.alive) {
+        await this.proxyRouter.markUp(cookieStoreId);
+      }
+    }
+  }
+
+  /**
+   * Release containers whose proxy was bound again
+   */
+  handleStorageChange(changes, areaName) {
+    if (areaName !== "local") {
+      return;
+    }
+
+    if (changes[this.storageKey]) {
+      this.enabled = new Set(changes[this.storageKey].newValue || []);
+    }
+
+    this.blocked.forEach((cookieStoreId) => {
+      if (!this.isBlocked(cookieStoreId)) {
+        this.release(cookieStoreId);
+      }
+    });
+  }
+
+  /**
+   * Show a badge and notify once per blocking episode
+   */
+  reportBlocked(cookieStoreId, tabId) {
+    if (tabId >= 0) {
+      browser.browserAction.setBadgeText({ text: "OFF", tabId });
+      browser.browserAction.setBadgeBackgroundColor({
+        color: "#dc2626",
+        tabId,
+      });
+      browser.browserAction.setTitle({
+        title: "FireFoxy - Kill switch is blocking this container",
+        tabId,
+      });
+    }
+
+    if (this.blocked.has(cookieStoreId)) {
+      return;
+    }
+
+    this.blocked.add(cookieStoreId);
+    const reason = this.getBlockReason(cookieStoreId);
+    console.warn(`⚠️ Kill switch blocking ${cookieStoreId}: ${reason}`);
+
+    browser.notifications.create(`kill-switch-${cookieStoreId}`, {
+      type: "basic",
+      iconUrl: "icon48.png",
+      title: "922Proxy - Kill Switch Active",
+      message: `Traffic from this container is blocked because ${reason}. Browsing resumes once the proxy answers again or a working proxy is assigned.`,
+    });
+  }
+
+  /**
+   * Clear the badge on a container's tabs once it is no longer blocked
+   */
+  async release(cookieStoreId) {
+    if (!this.blocked.delete(cookieStoreId)) {
+      return;
+    }
+
+    const tabs = await browser.tabs.query({ cookieStoreId });
+    tabs.forEach((tab) => {
+      browser.browserAction.setBadgeText({ text: "", tabId: tab.id });
+      browser.browserAction.setTitle({ title: null, tabId: tab.id });
+    });
+
+    console.log(`✅ Kill switch released ${cookieStoreId}`);
+  }
+}
+
+// Export for use in background.js
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = KillSwitch;
+}
@@ -0,0 +1,272 @@
+/**
+ * OwnershipService - Records which containers FireFoxy manages
+ * Containers created or adopted by FireFoxy are owned; everything else in
+ * the profile (e.g. Multi-Account Containers' Work or Banking) is foreign
+ * and left out of bulk operations unless the user opts in
+ * The background script is the only writer of ownership; other pages create
+ * the service with { remote: true } to send their writes to it
+ */
+
+class OwnershipService {
+  constructor(options = {}) {
+    this.storageKey = "owned_containers";
+    this.remote = !!options.remote;
+
+    // Write methods a remote service may ask the owner to run
+    this.writeMethods = ["add", "remove"];
+
+    // Containers created before ownership tracking are adopted once on load
+    // when they carry a generated name, an assignment or tags
+    this.assignmentsKey = "container_assignments";
+    this.tagsKey = "container_tags";
+
+    // Words of generated container names, e.g. "Swift Fox 42"
+    this.nameAdjectives = [
+      "Swift",
+      "Silent",
+      "Mystic",
+      "Blazing",
+      "Crystal",
+      "Thunder",
+      "Shadow",
+      "Golden",
+      "Crimson",
+      "Azure",
+      "Emerald",
+      "Silver",
+      "Midnight",
+      "Dawn",
+      "Storm",
+      "Frozen",
+      "Neon",
+      "Cosmic",
+      "Electric",
+      "Stealth",
+      "Phantom",
+      "Velocity",
+      "Quantum",
+      "Cyber",
+    ];
+    this.nameNouns = [
+      "Fox",
+      "Wolf",
+      "Eagle",
+      "Dragon",
+      "Phoenix",
+      "Tiger",
+      "Panther",
+      "Falcon",
+      "Shark",
+      "Lightning",
+      "Comet",
+      "Galaxy",
+      "Nova",
+      "Blade",
+      "Arrow",
+      "Shield",
+      "Proxy",
+      "Tunnel",
+      "Bridge",
+      "Portal",
+      "Gateway",
+      "Node",
+      "Server",
+      "Hub",
+    ];
+
+    this.owned = new Set();
+    this.loading = null;
+
+    this.handleStorageChange = this.handleStorageChange.bind(this);
+  }
+
+  /**
+   * Load owned containers once
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.loadOwned();
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Read owned containers; remote services follow the owner's writes, the
+   * owner adopts containers created before ownership tracking
+   */
+  async loadOwned() {
+    try {
+      const data = await browser.storage.local.get(this.storageKey);
+      this.owned = new Set(data[this.storageKey] || []);
+
+      if (!this.remote && !data[this.storageKey]) {
+        await this.migrate();
+      }
+    } catch (error) {
+      console.error("❌ Failed to load owned containers:", error);
+      this.owned = new Set();
+    }
+
+    // The owner's own writes would arrive late and overwrite newer ones
+    if (this.remote) {
+      browser.storage.onChanged.addListener(this.handleStorageChange);
+    }
+  }
+
+  /**
+   * Adopt containers FireFoxy created before it recorded ownership
+   */
+  async migrate() {
+    const [containers, data] = await Promise.all([
+      browser.contextualIdentities.query({}),
+      browser.storage.local.get([this.assignmentsKey, this.tagsKey]),
+    ]);
+    const assignments = data[this.assignmentsKey] || {};
+    const tags = data[this.tagsKey] || {};
+
+    containers
+      .filter(
+        (container) =>
+          this.isGeneratedName(container.name) ||
+          assignments[container.cookieStoreId] ||
+          tags[container.cookieStoreId]
+      )
+      .forEach((container) => this.owned.add(container.cookieStoreId));
+
+    // Saved even when empty so the migration runs only once
+    await this.save();
+    console.log(
+      `✅ Adopted ${this.owned.size} containers created before ownership tracking`
+    );
+  }
+
+  /**
+   * Generate a random container name
+   */
+  generateName() {
+    const adjective =
+      this.nameAdjectives[
+        Math.floor(Math.random() * this.nameAdjectives.length)
+      ];
+    const noun =
+      this.nameNouns[Math.floor(Math.random() * this.nameNouns.length)];
+    const number = Math.floor(Math.random() * 999) + 1;
+
+    return `${adjective} ${noun} ${number}`;
+  }
+
+  /**
+   * Whether a name follows the generated "Adjective Noun 1-999" scheme
+   */
+  isGeneratedName(name) {
+    const match = /^(\S+) (\S+) (\d{1,3})$/.exec(name || "");
+
+    return (
+      !!match &&
+      this.nameAdjectives.includes(match[1]) &&
+      this.nameNouns.includes(match[2]) &&
+      Number(match[3]) >= 1
+    );
+  }
+
+  /**
+   * Run a write method in the background script and pick up its result
+   */
+  async forward(method, args) {
+    await this.load();
+
+    const response = await browser.runtime.sendMessage({
+      action: "updateOwnership",
+      method,
+      args,
+    });
+
+    if (!response || !response.success) {
+      throw new Error(
+        (response && response.error) || "Failed to update owned containers"
+      );
+    }
+
+    return response.result;
+  }
+
+  /**
+   * Pick up ownership changes written by the background script
+   */
+  handleStorageChange(changes, areaName) {
+    if (areaName === "local" && changes[this.storageKey]) {
+      this.owned = new Set(changes[this.storageKey].newValue || []);
+    }
+  }
+
+  /**
+   * Persist the owned set
+   */
+  async save() {
+    await browser.storage.local.set({
+      [this.storageKey]: Array.from(this.owned),
+    });
+  }
+
+  /**
+   * Whether FireFoxy manages a container
+   */
+  isOwned(cookieStoreId) {
+    return this.owned.has(cookieStoreId);
+  }
+
+  /**
+   * Bring a container under FireFoxy management
+   */
+  async add(cookieStoreId) {
+    if (this.remote) {
+      await this.forward("add", [cookieStoreId]);
+      this.owned.add(cookieStoreId);
+      return;
+    }
+
+    await this.load();
+
+    if (!this.owned.has(cookieStoreId)) {
+      this.owned.add(cookieStoreId);
+      await this.save();
+    }
+  }
+
+  /**
+   * Forget a removed container
+   */
+  async remove(cookieStoreId) {
+    if (this.remote) {
+      const removed = await this.forward("remove", [cookieStoreId]);
+      this.owned.delete(cookieStoreId);
+      return removed;
+    }
+
+    await this.load();
+
+    if (!this.owned.delete(cookieStoreId)) {
+      return false;
+    }
+
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Keep only owned containers unless foreign ones are explicitly included
+   */
+  scope(containers, includeForeign = false) {
+    return includeForeign
+      ? containers
+      : containers.filter((container) =>
+          this.owned.has(container.cookieStoreId)
+        );
+  }
+}
+
+// Export for use in background.js and popup.js
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = OwnershipService;
+}
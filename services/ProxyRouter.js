@@ -0,0 +1,306 @@
+/**
+ * ProxyRouter - Native per-container proxy routing
+ * Maps container cookieStoreIds to generated proxy entries and answers
+ * browser.proxy.onRequest so each container exits through its own session
+ * Routes are kept in the AssignmentStore
+ */
+
+class ProxyRouter {
+  constructor(credentialService, assignmentStore) {
+    this.credentialService = credentialService;
+    this.assignmentStore = assignmentStore;
+    this.password = "";
+
+    // In-memory routes for single probe requests, keyed by a URL token
+    this.probes = new Map();
+    this.probeParam = "firefoxy_probe";
+
+    this.handleRequest = this.handleRequest.bind(this);
+    this.handleProxyError = this.handleProxyError.bind(this);
+    this.handleStorageChange = this.handleStorageChange.bind(this);
+  }
+
+  /**
+   * Load routes and credentials, then start answering proxy requests
+   */
+  async initialize() {
+    if (!browser.proxy || !browser.proxy.onRequest) {
+      console.warn("⚠️ Proxy API not available - native routing disabled");
+      return;
+    }
+
+    await Promise.all([this.assignmentStore.load(), this.loadPassword()]);
+
+    browser.proxy.onRequest.addListener(this.handleRequest, {
+      urls: ["<all_urls>"],
+    });
+    browser.proxy.onError.addListener(this.handleProxyError);
+    browser.storage.onChanged.addListener(this.handleStorageChange);
+
+    console.log(
+      `✅ Proxy router initialized with ${this.getRoutes().length} routes`
+    );
+  }
+
+  /**
+   * Load the proxy password from the credential service
+   */
+  async loadPassword() {
+    // The popup writes credentials through its own service instance
+    this.credentialService.clearCache();
+    const credentials = await this.credentialService.loadCredentials();
+    this.password = credentials ? credentials.password : "";
+  }
+
+  /**
+   * Keep the password in sync with storage changes
+   */
+  handleStorageChange(changes, areaName) {
+    if (areaName !== "local") {
+      return;
+    }
+
+    if (changes[this.credentialService.storageKey]) {
+      this.loadPassword().then(() => this.clearAuthFailures());
+    }
+  }
+
+  /**
+   * Answer proxy.onRequest for a single request
+   */
+  handleRequest(requestInfo) {
+    const probe = this.getProbe(requestInfo.url);
+    if (probe) {
+      return this.toProxyInfo(probe, probe.password);
+    }
+
+    const route = this.getRoute(requestInfo.cookieStoreId);
+
+    // Unrouted containers are left to FoxyProxy or the browser default
+    if (!route) {
+      return undefined;
+    }
+
+    return this.toProxyInfo(route);
+  }
+
+  /**
+   * Log proxy errors reported by the browser
+   */
+  handleProxyError(error) {
+    console.error("❌ Proxy error:", error.message);
+  }
+
+  /**
+   * Convert a stored route into a proxy.ProxyInfo object
+   * HTTP(S) proxies authenticate through webRequest.onAuthRequired instead
+   */
+  toProxyInfo(route, password = this.password) {
+    if (route.type !== "socks5") {
+      return {
+        type: route.type,
+        host: route.hostname,
+        port: route.port,
+      };
+    }
+
+    return {
+      type: "socks",
+      host: route.hostname,
+      port: route.port,
+      username: route.username,
+      password,
+      proxyDNS: route.proxyDNS,
+    };
+  }
+
+  /**
+   * Bind a container to a generated FoxyProxy entry
+   * The optional session describes the sticky session behind the username
+   */
+  async assignRoute(cookieStoreId, entry, session = null) {
+    if (!cookieStoreId) {
+      throw new Error("Container ID is required");
+    }
+
+    if (!entry || !entry.hostname || !entry.port || !entry.username) {
+      throw new Error("Invalid proxy entry");
+    }
+
+    // Never persist the password; it is read from the credential service
+    const route = {
+      entryId: entry.id || entry.entryId || null,
+      title: entry.title,
+      type: entry.type,
+      hostname: entry.hostname,
+      port: parseInt(entry.port, 10),
+      username: entry.username,
+      proxyDNS: entry.proxyDNS !== false,
+      assignedAt: Date.now(),
+    };
+
+    if (session) {
+      route.provider = session.provider;
+      route.sessionMode = session.sessionMode;
+      route.sessionId = session.sessionId;
+      route.region = session.region;
+      route.state = session.state;
+      route.city = session.city;
+      route.asn = session.asn;
+      route.sessionTime = session.sessionTime;
+      route.issuedAt = route.assignedAt;
+    }
+
+    await this.assignmentStore.setRoute(cookieStoreId, route);
+
+    console.log(`✅ Routed ${cookieStoreId} through "${route.title}"`);
+    return route;
+  }
+
+  /**
+   * Remove a container's route
+   */
+  async removeRoute(cookieStoreId) {
+    if (!this.getRoute(cookieStoreId)) {
+      return false;
+    }
+
+    await this.assignmentStore.setRoute(cookieStoreId, null);
+    console.log(`✅ Removed route for ${cookieStoreId}`);
+    return true;
+  }
+
+  /**
+   * Record that a container's proxy failed to connect
+   */
+  async markDown(cookieStoreId, reason) {
+    const route = this.getRoute(cookieStoreId);
+
+    if (!route) {
+      return;
+    }
+
+    await this.assignmentStore.updateRoute(cookieStoreId, {
+      downAt: Date.now(),
+      lastError: reason,
+    });
+
+    console.warn(`⚠️ Proxy "${route.title}" is down: ${reason}`);
+  }
+
+  /**
+   * Clear a container's down and auth failure marks after a working probe
+   */
+  async markUp(cookieStoreId) {
+    const route = this.getRoute(cookieStoreId);
+
+    if (!route || (!route.downAt && !route.authFailedAt)) {
+      return;
+    }
+
+    const { downAt, lastError, authFailedAt, ...cleared } = route;
+    await this.assignmentStore.setRoute(cookieStoreId, cleared);
+
+    console.log(`✅ Proxy "${route.title}" is reachable again`);
+  }
+
+  /**
+   * Get proxy auth credentials for a routed container
+   */
+  getAuthCredentials(cookieStoreId) {
+    const route = this.getRoute(cookieStoreId);
+
+    if (!route || !this.password) {
+      return null;
+    }
+
+    return { username: route.username, password: this.password };
+  }
+
+  /**
+   * Record that the proxy rejected a container's credentials
+   */
+  async markAuthFailure(cookieStoreId) {
+    await this.assignmentStore.updateRoute(cookieStoreId, {
+      authFailedAt: Date.now(),
+    });
+  }
+
+  /**
+   * Forget auth failures so updated credentials are tried again
+   */
+  async clearAuthFailures() {
+    for (const [cookieStoreId, route] of this.getRoutes()) {
+      if (route.authFailedAt) {
+        const { authFailedAt, ...cleared } = route;
+        await this.assignmentStore.setRoute(cookieStoreId, cleared);
+      }
+    }
+  }
+
+  /**
+   * Get the route assigned to a container
+   */
+  getRoute(cookieStoreId) {
+    return this.assignmentStore.getRoute(cookieStoreId);
+  }
+
+  /**
+   * Get every routed container as [cookieStoreId, route] pairs
+   */
+  getRoutes() {
+    return this.assignmentStore.getRoutes();
+  }
+
+  /**
+   * Route requests carrying a fresh token through a generated entry
+   * Returns the token; the entry's own password is used for auth
+   */
+  addProbe(entry) {
+    const bytes = new Uint8Array(8);
+    crypto.getRandomValues(bytes);
+    const token = Array.from(bytes, (byte) =>
+      byte.toString(16).padStart(2, "0")
+    ).join("");
+
+    this.probes.set(token, entry);
+    return token;
+  }
+
+  /**
+   * Stop routing a probe token
+   */
+  removeProbe(token) {
+    this.probes.delete(token);
+  }
+
+  /**
+   * Add a probe token to a URL
+   */
+  getProbeUrl(url, token) {
+    const probeUrl = new URL(url);
+    probeUrl.searchParams.set(this.probeParam, token);
+    return probeUrl.href;
+  }
+
+  /**
+   * Get the probe entry a request URL belongs to
+   */
+  getProbe(url) {
+    if (this.probes.size === 0 || !url) {
+      return null;
+    }
+
+    try {
+      const token = new URL(url).searchParams.get(this.probeParam);
+      return (token && this.probes.get(token)) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// Export for use in background.js
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ProxyRouter;
+}
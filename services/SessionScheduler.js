@@ -0,0 +1,234 @@
+/**
+ * SessionScheduler - Rotates sticky proxy sessions before they expire
+ * Uses the alarms API to track when each container's session was issued
+ * and swaps in a fresh session between page loads
+ */
+
+class SessionScheduler {
+  constructor(proxyRouter, credentialService, generator) {
+    this.alarmName = "firefoxy-session-rotation";
+    this.settingsKey = "session_rotation_settings";
+    this.logKey = "session_rotation_log";
+    this.maxLogEntries = 100;
+
+    this.proxyRouter = proxyRouter;
+    this.credentialService = credentialService;
+    this.generator = generator;
+
+    // intervalMinutes of 0 rotates only shortly before the session expires
+    this.settings = {
+      enabled: true,
+      intervalMinutes: 0,
+      leadMinutes: 5,
+    };
+
+    // Containers whose rotation is waiting for a page load to finish
+    this.deferred = new Set();
+
+    this.handleAlarm = this.handleAlarm.bind(this);
+    this.handleTabUpdated = this.handleTabUpdated.bind(this);
+    this.handleStorageChange = this.handleStorageChange.bind(this);
+  }
+
+  /**
+   * Load settings and start the periodic rotation check
+   */
+  async initialize() {
+    try {
+      const data = await browser.storage.local.get(this.settingsKey);
+      Object.assign(this.settings, data[this.settingsKey]);
+    } catch (error) {
+      console.error("❌ Failed to load rotation settings:", error);
+    }
+
+    browser.alarms.create(this.alarmName, { periodInMinutes: 1 });
+    browser.alarms.onAlarm.addListener(this.handleAlarm);
+    browser.tabs.onUpdated.addListener(this.handleTabUpdated);
+    browser.storage.onChanged.addListener(this.handleStorageChange);
+
+    console.log("✅ Session scheduler initialized");
+  }
+
+  /**
+   * Run the rotation check on each alarm tick
+   */
+  handleAlarm(alarm) {
+    if (alarm.name !== this.alarmName) {
+      return;
+    }
+
+    this.checkSessions().catch((error) => {
+      console.error("❌ Session rotation check failed:", error);
+    });
+  }
+
+  /**
+   * Rotate deferred containers as soon as their page finishes loading
+   */
+  handleTabUpdated(tabId, changeInfo, tabInfo) {
+    if (
+      changeInfo.status !== "complete" ||
+      !this.deferred.has(tabInfo.cookieStoreId)
+    ) {
+      return;
+    }
+
+    this.rotateWhenIdle(tabInfo.cookieStoreId, "scheduled").catch((error) => {
+      console.error("❌ Deferred session rotation failed:", error);
+    });
+  }
+
+  /**
+   * Keep settings in sync when the popup changes them
+   */
+  handleStorageChange(changes, areaName) {
+    if (areaName === "local" && changes[this.settingsKey]) {
+      Object.assign(this.settings, changes[this.settingsKey].newValue);
+    }
+  }
+
+  /**
+   * Calculate when a route's session should be rotated
+   * The lead is capped at half the lifetime, so short sessions (e.g. 5
+   * minutes with a 5 minute lead) are not rotated on every alarm tick
+   */
+  getRotationTime(route) {
+    const lifetime = route.sessionTime * 60 * 1000;
+    const lead = Math.min(this.settings.leadMinutes * 60 * 1000, lifetime / 2);
+    const interval = this.settings.intervalMinutes * 60 * 1000;
+
+    const beforeExpiry = lifetime - lead;
+    const delay =
+      interval > 0 ? Math.min(interval, beforeExpiry) : beforeExpiry;
+
+    return route.issuedAt + Math.max(0, delay);
+  }
+
+  /**
+   * Rotate every sticky session that is due
+   * A failed rotation is logged and does not hold up the other containers
+   */
+  async checkSessions() {
+    if (!this.settings.enabled) {
+      return;
+    }
+
+    const now = Date.now();
+
+    for (const [cookieStoreId, route] of this.proxyRouter.getRoutes()) {
+      if (!route.sessionId || !route.issuedAt) {
+        continue;
+      }
+
+      if (now < this.getRotationTime(route)) {
+        continue;
+      }
+
+      try {
+        await this.rotateWhenIdle(cookieStoreId, "scheduled");
+      } catch (error) {
+        console.error(
+          `❌ Scheduled rotation of ${cookieStoreId} failed:`,
+          error
+        );
+      }
+    }
+  }
+
+  /**
+   * Rotate unless a tab in the container is still loading
+   */
+  async rotateWhenIdle(cookieStoreId, reason) {
+    const loadingTabs = await browser.tabs.query({
+      cookieStoreId,
+      status: "loading",
+    });
+
+    if (loadingTabs.length > 0) {
+      this.deferred.add(cookieStoreId);
+      return null;
+    }
+
+    return await this.rotate(cookieStoreId, reason);
+  }
+
+  /**
+   * Swap a container's session for a fresh one
+   */
+  async rotate(cookieStoreId, reason = "manual") {
+    this.deferred.delete(cookieStoreId);
+
+    const route = this.proxyRouter.getRoute(cookieStoreId);
+
+    if (!route || !route.sessionId) {
+      throw new Error("Container has no sticky session to rotate");
+    }
+
+    this.credentialService.clearCache();
+    const credentials = await this.credentialService.loadCredentials();
+
+    if (!credentials) {
+      throw new Error("No saved credentials to build a new session");
+    }
+
+    this.generator.credentials = {
+      username: credentials.username,
+      password: credentials.password,
+    };
+    this.generator.setProvider(route.provider || ProviderAdapter.defaultId);
+    this.generator.config.region = route.region;
+    this.generator.config.state = route.state || "";
+    this.generator.config.city = route.city || "";
+    this.generator.config.asn = route.asn || "";
+    this.generator.config.sessionMode = "sticky";
+    this.generator.config.sessionTime = route.sessionTime;
+
+    const sessionId = this.generator.generateSessionId();
+    const username = this.generator.buildAuthUsername(sessionId);
+
+    const newRoute = await this.proxyRouter.assignRoute(
+      cookieStoreId,
+      { ...route, username },
+      this.generator.parseAuthUsername(username)
+    );
+
+    await this.logRotation({
+      cookieStoreId,
+      title: route.title,
+      previousSessionId: route.sessionId,
+      sessionId,
+      reason,
+      rotatedAt: newRoute.issuedAt,
+    });
+
+    console.log(
+      `🔄 Rotated ${cookieStoreId} from ${route.sessionId} to ${sessionId} (${reason})`
+    );
+    return newRoute;
+  }
+
+  /**
+   * Append a rotation to the capped rotation log
+   */
+  async logRotation(entry) {
+    const log = await this.getLog();
+    log.push(entry);
+
+    await browser.storage.local.set({
+      [this.logKey]: log.slice(-this.maxLogEntries),
+    });
+  }
+
+  /**
+   * Get the rotation log, oldest first
+   */
+  async getLog() {
+    const data = await browser.storage.local.get(this.logKey);
+    return data[this.logKey] || [];
+  }
+}
+
+// Export for use in background.js
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SessionScheduler;
+}
@@ -0,0 +1,211 @@
+/**
+ * TagService - Tags and list groups for containers
+ * contextualIdentities has no metadata field, so tags live in
+ * browser.storage.local keyed by cookieStoreId; a container's first tag
+ * is the group it is listed under
+ * The background script is the only writer of tags; other pages create the
+ * service with { remote: true } to send their tag writes to the background
+ */
+
+class TagService {
+  constructor(options = {}) {
+    this.storageKey = "container_tags";
+    this.remote = !!options.remote;
+
+    // Write methods a remote service may ask the owner to run
+    this.writeMethods = ["setTags", "remove"];
+    this.collapsedKey = "container_groups_collapsed";
+    this.maxTagLength = 32;
+
+    // cookieStoreId -> ["client-a", "warmup"]
+    this.tags = {};
+    this.collapsed = new Set();
+    this.loading = null;
+
+    this.handleStorageChange = this.handleStorageChange.bind(this);
+  }
+
+  /**
+   * Load tags and collapsed groups once; remote services then follow the
+   * owner's writes
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = browser.storage.local
+        .get([this.storageKey, this.collapsedKey])
+        .then((data) => {
+          this.tags = data[this.storageKey] || {};
+          this.collapsed = new Set(data[this.collapsedKey] || []);
+        })
+        .catch((error) => {
+          console.error("❌ Failed to load container tags:", error);
+          this.tags = {};
+        })
+        .then(() => {
+          // The owner's own writes would arrive late and overwrite newer ones
+          if (this.remote) {
+            browser.storage.onChanged.addListener(this.handleStorageChange);
+          }
+        });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Pick up tag changes written by the background script
+   */
+  handleStorageChange(changes, areaName) {
+    if (areaName !== "local") {
+      return;
+    }
+
+    if (changes[this.storageKey]) {
+      this.tags = changes[this.storageKey].newValue || {};
+    }
+    if (changes[this.collapsedKey]) {
+      this.collapsed = new Set(changes[this.collapsedKey].newValue || []);
+    }
+  }
+
+  /**
+   * Split user input into trimmed, unique tags, keeping their order
+   */
+  parseTags(input) {
+    const tags = String(input || "")
+      .split(",")
+      .map((tag) => tag.trim().replace(/\s+/g, " "))
+      .filter(Boolean);
+
+    tags.forEach((tag) => {
+      if (tag.length > this.maxTagLength) {
+        throw new Error(
+          `Tags must be at most ${this.maxTagLength} characters: "${tag}"`
+        );
+      }
+    });
+
+    return Array.from(new Set(tags));
+  }
+
+  /**
+   * Get a container's tags
+   */
+  getTags(cookieStoreId) {
+    return (this.tags[cookieStoreId] || []).slice();
+  }
+
+  /**
+   * Get the group a container is listed under, or null when untagged
+   */
+  getGroup(cookieStoreId) {
+    const tags = this.tags[cookieStoreId];
+    return tags && tags.length > 0 ? tags[0] : null;
+  }
+
+  /**
+   * Get every tag in use, sorted
+   */
+  getAllTags() {
+    const tags = new Set();
+    Object.values(this.tags).forEach((containerTags) =>
+      containerTags.forEach((tag) => tags.add(tag))
+    );
+    return Array.from(tags).sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Run a write method in the background script
+   */
+  async forward(method, args) {
+    await this.load();
+
+    const response = await browser.runtime.sendMessage({
+      action: "updateTags",
+      method,
+      args,
+    });
+
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || "Failed to update tags");
+    }
+
+    return response.result;
+  }
+
+  /**
+   * Apply a container's tags in memory
+   */
+  applyTags(cookieStoreId, tags) {
+    if (tags.length > 0) {
+      this.tags[cookieStoreId] = tags.slice();
+    } else {
+      delete this.tags[cookieStoreId];
+    }
+  }
+
+  /**
+   * Replace a container's tags; an empty list removes them
+   */
+  async setTags(cookieStoreId, tags) {
+    if (this.remote) {
+      const saved = await this.forward("setTags", [cookieStoreId, tags]);
+      this.applyTags(cookieStoreId, saved);
+      return saved;
+    }
+
+    await this.load();
+    this.applyTags(cookieStoreId, tags);
+
+    await browser.storage.local.set({ [this.storageKey]: this.tags });
+    return this.getTags(cookieStoreId);
+  }
+
+  /**
+   * Forget the tags of a removed container
+   */
+  async remove(cookieStoreId) {
+    if (this.remote) {
+      const removed = await this.forward("remove", [cookieStoreId]);
+      this.applyTags(cookieStoreId, []);
+      return removed;
+    }
+
+    await this.load();
+
+    if (!this.tags[cookieStoreId]) {
+      return false;
+    }
+
+    delete this.tags[cookieStoreId];
+    await browser.storage.local.set({ [this.storageKey]: this.tags });
+    return true;
+  }
+
+  /**
+   * Whether a group is collapsed in the list
+   */
+  isCollapsed(group) {
+    return this.collapsed.has(group);
+  }
+
+  /**
+   * Remember whether a group is collapsed
+   */
+  async setCollapsed(group, collapsed) {
+    if (collapsed) {
+      this.collapsed.add(group);
+    } else {
+      this.collapsed.delete(group);
+    }
+
+    await browser.storage.local.set({
+      [this.collapsedKey]: Array.from(this.collapsed),
+    });
+  }
+}
+
+// Export for use in background.js and popup.js
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = TagService;
+}
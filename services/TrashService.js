@@ -0,0 +1,317 @@
+/**
+ * TrashService - Snapshots deleted containers so they can be restored
+ * Each snapshot keeps the container's name, color, icon, proxy assignment,
+ * tags, ownership and open-tab URLs until the retention window runs out
+ * The background script is the only writer of the trash; other pages create
+ * the service with { remote: true } to send their trash writes to it
+ */
+
+class TrashService {
+  constructor(
+    assignmentStore = null,
+    tagService = null,
+    ownershipService = null,
+    options = {}
+  ) {
+    this.storageKey = "container_trash";
+    this.settingsKey = "trash_settings";
+    this.alarmName = "firefoxy-trash-purge";
+    this.assignmentStore = assignmentStore;
+    this.tagService = tagService;
+    this.ownershipService = ownershipService;
+    this.sessionScheduler = options.sessionScheduler || null;
+    this.remote = !!options.remote;
+
+    // Write methods a remote service may ask the owner to run
+    this.writeMethods = ["add", "restore", "remove", "empty"];
+
+    this.defaultSettings = {
+      retentionDays: 7,
+    };
+
+    // Bulk deletes snapshot in parallel; writes to the trash go one at a time
+    this.queue = Promise.resolve();
+
+    this.handleAlarm = this.handleAlarm.bind(this);
+  }
+
+  /**
+   * Purge expired snapshots now and every hour (background script)
+   */
+  async initialize() {
+    browser.alarms.create(this.alarmName, { periodInMinutes: 60 });
+    browser.alarms.onAlarm.addListener(this.handleAlarm);
+
+    const purged = await this.purgeExpired();
+    console.log(`✅ Container trash initialized, purged ${purged} snapshots`);
+  }
+
+  /**
+   * Purge on each alarm tick
+   */
+  handleAlarm(alarm) {
+    if (alarm.name !== this.alarmName) {
+      return;
+    }
+
+    this.purgeExpired().catch((error) => {
+      console.error("❌ Failed to purge container trash:", error);
+    });
+  }
+
+  /**
+   * Load trash settings merged over the defaults
+   */
+  async getSettings() {
+    try {
+      const data = await browser.storage.local.get(this.settingsKey);
+      return Object.assign({}, this.defaultSettings, data[this.settingsKey]);
+    } catch (error) {
+      console.error("❌ Failed to load trash settings:", error);
+      return Object.assign({}, this.defaultSettings);
+    }
+  }
+
+  /**
+   * Validate and persist the retention window
+   */
+  async saveSettings(settings) {
+    const retentionDays = parseInt(settings.retentionDays, 10);
+    if (!retentionDays || retentionDays < 1 || retentionDays > 90) {
+      throw new Error("Retention must be between 1 and 90 days");
+    }
+
+    const saved = Object.assign({}, this.defaultSettings, { retentionDays });
+    await browser.storage.local.set({ [this.settingsKey]: saved });
+    return saved;
+  }
+
+  /**
+   * Run a write method in the background script
+   */
+  async forward(method, args) {
+    const response = await browser.runtime.sendMessage({
+      action: "updateTrash",
+      method,
+      args,
+    });
+
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || "Failed to update trash");
+    }
+
+    return response.result;
+  }
+
+  /**
+   * Run a read-modify-write of the trash after earlier ones finish
+   */
+  update(change) {
+    const run = this.queue.then(async () => {
+      const data = await browser.storage.local.get(this.storageKey);
+      const entries = data[this.storageKey] || [];
+      const result = await change(entries);
+
+      await browser.storage.local.set({ [this.storageKey]: entries });
+      return result;
+    });
+
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Get snapshots in the retention window, newest first
+   */
+  async list() {
+    const [data, settings] = await Promise.all([
+      browser.storage.local.get(this.storageKey),
+      this.getSettings(),
+    ]);
+    const cutoff = Date.now() - settings.retentionDays * 24 * 60 * 60 * 1000;
+
+    return (data[this.storageKey] || [])
+      .filter((entry) => entry.deletedAt >= cutoff)
+      .map((entry) =>
+        Object.assign({}, entry, {
+          expiresAt:
+            entry.deletedAt + settings.retentionDays * 24 * 60 * 60 * 1000,
+        })
+      )
+      .sort((a, b) => b.deletedAt - a.deletedAt);
+  }
+
+  /**
+   * Snapshot a container before it is deleted
+   */
+  async add(cookieStoreId) {
+    if (this.remote) {
+      return await this.forward("add", [cookieStoreId]);
+    }
+
+    const container = await browser.contextualIdentities.get(cookieStoreId);
+    const tabs = await browser.tabs.query({ cookieStoreId });
+
+    await this.assignmentStore.load();
+    await this.tagService.load();
+    await this.ownershipService.load();
+
+    const entry = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      deletedAt: Date.now(),
+      cookieStoreId,
+      name: container.name,
+      color: container.color,
+      icon: container.icon,
+      assignment: this.assignmentStore.get(cookieStoreId),
+      tags: this.tagService.getTags(cookieStoreId),
+      owned: this.ownershipService.isOwned(cookieStoreId),
+      // Privileged pages such as about: cannot be reopened by extensions
+      tabs: tabs
+        .map((tab) => tab.url)
+        .filter((url) => url && /^(https?|ftp|file):/.test(url)),
+    };
+
+    await this.update((entries) => {
+      entries.push(entry);
+    });
+
+    console.log(`✅ Moved container "${entry.name}" to the trash`);
+    return entry;
+  }
+
+  /**
+   * Recreate a trashed container with its settings and tabs
+   * The restored container gets a new cookieStoreId and, for sticky routes,
+   * a new session so it does not pick up the old container's exit IP
+   */
+  async restore(id) {
+    if (this.remote) {
+      return await this.forward("restore", [id]);
+    }
+
+    const entry = (await this.list()).find((item) => item.id === id);
+    if (!entry) {
+      throw new Error("This container is no longer in the trash");
+    }
+
+    const container = await browser.contextualIdentities.create({
+      name: entry.name,
+      color: entry.color,
+      icon: entry.icon,
+    });
+    const cookieStoreId = container.cookieStoreId;
+
+    await this.assignmentStore.load();
+    await this.tagService.load();
+
+    const route = entry.assignment && entry.assignment.route;
+    if (route) {
+      await this.assignmentStore.setRoute(
+        cookieStoreId,
+        this.restoreRoute(route)
+      );
+    }
+    if (entry.assignment && entry.assignment.applied) {
+      await this.assignmentStore.setApplied(
+        cookieStoreId,
+        true,
+        entry.assignment.session || null
+      );
+    }
+    if (entry.owned) {
+      await this.ownershipService.add(cookieStoreId);
+    }
+    if (entry.tags.length > 0) {
+      await this.tagService.setTags(cookieStoreId, entry.tags);
+    }
+
+    if (route && route.sessionId && this.sessionScheduler) {
+      try {
+        await this.sessionScheduler.rotate(cookieStoreId, "restore");
+      } catch (error) {
+        console.warn(
+          `⚠️ Restored ${cookieStoreId} without a new session:`,
+          error.message
+        );
+      }
+    }
+
+    for (const url of entry.tabs) {
+      await browser.tabs.create({ url, cookieStoreId, active: false });
+    }
+
+    await this.remove(id);
+
+    console.log(`✅ Restored container "${entry.name}" as ${cookieStoreId}`);
+    return container;
+  }
+
+  /**
+   * Copy a trashed route as if it was assigned now
+   * Health marks belonged to the old container and are dropped
+   */
+  restoreRoute(route) {
+    const now = Date.now();
+    const { downAt, lastError, authFailedAt, ...restored } = route;
+
+    restored.assignedAt = now;
+    if (restored.issuedAt) {
+      restored.issuedAt = now;
+    }
+
+    return restored;
+  }
+
+  /**
+   * Delete a snapshot for good
+   */
+  async remove(id) {
+    if (this.remote) {
+      return await this.forward("remove", [id]);
+    }
+
+    return await this.update((entries) => {
+      const index = entries.findIndex((entry) => entry.id === id);
+      if (index >= 0) {
+        entries.splice(index, 1);
+      }
+      return index >= 0;
+    });
+  }
+
+  /**
+   * Delete every snapshot
+   */
+  async empty() {
+    if (this.remote) {
+      return await this.forward("empty", []);
+    }
+
+    return await this.update((entries) => {
+      const count = entries.length;
+      entries.splice(0, count);
+      return count;
+    });
+  }
+
+  /**
+   * Drop snapshots older than the retention window
+   */
+  async purgeExpired() {
+    const settings = await this.getSettings();
+    const cutoff = Date.now() - settings.retentionDays * 24 * 60 * 60 * 1000;
+
+    return await this.update((entries) => {
+      const kept = entries.filter((entry) => entry.deletedAt >= cutoff);
+      const purged = entries.length - kept.length;
+      entries.splice(0, entries.length, ...kept);
+      return purged;
+    });
+  }
+}
+
+// Export for use in background.js, popup.js and options.js
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = TrashService;
+}
@@ -8,6 +8,22 @@ class UIManager {
     this.elements = new Map();
     this.timers = new Map();
     this.eventListeners = new Map();
+
+    // Virtual container list: only cards near the viewport are in the DOM
+    // Items are containers or { group } headers when the list is grouped
+    this.virtualList = {
+      containers: [],
+      appliedStatuses: {},
+      containerStates: {},
+      // Measured item heights including the list gap, by list key
+      heights: new Map(),
+      estimatedHeight: 162,
+      estimatedGroupHeight: 44,
+      gap: 12,
+      overscan: 400,
+      range: null,
+      scrollHandler: null,
+    };
   }
 
   /**
@@ -15,23 +31,59 @@ class UIManager {
    */
   initializeElements() {
     const elementIds = [
+      "proxy-provider",
       "proxy-username",
       "proxy-password",
       "save-credentials-btn",
       "credentials-status",
       "proxy-count",
       "proxy-region",
+      "primary-region",
+      "proxy-state",
+      "proxy-state-options",
+      "proxy-city",
+      "proxy-city-options",
+      "proxy-asn",
+      "proxy-type",
+      "session-mode",
+      "session-time",
+      "map-containers",
+      "health-check",
+      "health-results",
+      "rotation-interval",
+      "geo-auto-rotate",
       "generate-proxies-btn",
       "download-config-btn",
+      "route-containers-btn",
       "generation-status",
       "generation-error",
       "container-list",
+      "container-search",
+      "container-sort",
+      "filter-region",
+      "filter-applied",
+      "filter-proxy",
+      "filter-stale",
+      "container-count",
+      "ip-conflict-banner",
+      "provision-count",
+      "provision-open-tabs",
+      "provision-btn",
+      "provision-status",
       "create-container-btn",
+      "trash-toggle-btn",
+      "trash-count",
+      "trash-list",
       "delete-all-containers-btn",
+      "include-foreign",
       "loading-containers",
       "showPasswordBtn",
       "logout-btn",
       "setup-foxyproxy-btn",
+      "reset-identity-dialog",
+      "reset-identity-title",
+      "reset-identity-erased",
+      "reset-clear-cache",
     ];
 
     elementIds.forEach((id) => {
@@ -79,7 +131,12 @@ class UIManager {
   /**
    * Create container element with safe DOM manipulation
    */
-  createContainerElement(container, isApplied = false, appliedData = null) {
+  createContainerElement(
+    container,
+    isApplied = false,
+    appliedData = null,
+    state = {}
+  ) {
     // Use the actual container color from Firefox containers API
     const containerColor = this.getContainerColor(container.color);
 
@@ -159,6 +216,17 @@ class UIManager {
 
     containerDiv.appendChild(header);
 
+    // Tags kept by TagService; the first one is the card's group
+    if (state.tags && state.tags.length > 0) {
+      const tags = this.createElement("div", { className: "container-tags" });
+      state.tags.forEach((tag) => {
+        tags.appendChild(
+          this.createElement("span", { className: "container-tag" }, tag)
+        );
+      });
+      containerDiv.appendChild(tags);
+    }
+
     // Timer display (if applied)
     if (isApplied && appliedData) {
       const timerDiv = this.createElement("div", {
@@ -172,6 +240,11 @@ class UIManager {
       containerDiv.appendChild(timerDiv);
     }
 
+    // Exit IP, location and proxy session reported by the background script
+    containerDiv.appendChild(
+      this.createStatusStrip(container.cookieStoreId, state)
+    );
+
     // Action buttons - inline icon design with container color theming
     const actions = this.createElement("div", {
       className: "container-actions",
@@ -206,6 +279,73 @@ class UIManager {
     });
     switchBtn.innerHTML = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 12a9 9 0 0 1 9-9 9.75 9.75 0 0 1 6.74 2.74L21 8"/><path d="M21 3v5h-5"/><path d="M21 12a9 9 0 0 1-9 9 9.75 9.75 0 0 1-6.74-2.74L3 16"/><path d="M3 21v-5h5"/></svg>`;
 
+    // Assign proxy button - routes the container through a new session
+    const assignBtn = this.createElement("button", {
+      className: "btn-icon btn-secondary-icon",
+      "data-container-id": container.cookieStoreId,
+      "data-action": "assign-proxy",
+      title: "Route Through New Proxy Session",
+      style: `background: ${this.adjustColorOpacity(
+        containerColor,
+        0.15
+      )}; color: ${containerColor}; border-color: ${this.adjustColorOpacity(
+        containerColor,
+        0.4
+      )};`,
+    });
+    assignBtn.innerHTML = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="6" cy="19" r="3"/><path d="M9 19h8.5a3.5 3.5 0 0 0 0-7h-11a3.5 3.5 0 0 1 0-7H15"/><circle cx="18" cy="5" r="3"/></svg>`;
+
+    // Kill switch button - blocks traffic when the proxy is down
+    const killSwitchBtn = this.createElement("button", {
+      className: `btn-icon btn-killswitch-icon${
+        state.killSwitch ? " active" : ""
+      }`,
+      "data-container-id": container.cookieStoreId,
+      "data-action": "toggle-kill-switch",
+      title: state.killSwitch ? "Kill Switch: On" : "Kill Switch: Off",
+    });
+    killSwitchBtn.innerHTML = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"/></svg>`;
+
+    // IP history button - expands the exit IP timeline below the actions
+    const historyBtn = this.createElement("button", {
+      className: "btn-icon btn-history-icon",
+      "data-container-id": container.cookieStoreId,
+      "data-action": "toggle-ip-history",
+      title: "Show IP History",
+    });
+    historyBtn.innerHTML = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/></svg>`;
+
+    // Reset identity button - wipes site data and rotates the session
+    const resetBtn = this.createElement("button", {
+      className: "btn-icon btn-reset-icon",
+      "data-container-id": container.cookieStoreId,
+      "data-action": "reset-identity",
+      title: "Reset Identity",
+    });
+    resetBtn.innerHTML = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 12a9 9 0 1 0 3-6.7L3 8"/><path d="M3 3v5h5"/><circle cx="12" cy="12" r="2"/></svg>`;
+
+    // Adopt button - only on containers FireFoxy does not manage yet
+    const adoptBtn = state.owned
+      ? null
+      : this.createElement("button", {
+          className: "btn-icon btn-adopt-icon",
+          "data-container-id": container.cookieStoreId,
+          "data-action": "adopt",
+          title: "Adopt: Manage This Container with FireFoxy",
+        });
+    if (adoptBtn) {
+      adoptBtn.innerHTML = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M16 21v-2a4 4 0 0 0-4-4H6a4 4 0 0 0-4 4v2"/><circle cx="9" cy="7" r="4"/><line x1="19" x2="19" y1="8" y2="14"/><line x1="22" x2="16" y1="11" y2="11"/></svg>`;
+    }
+
+    // Tags button - edits the tags that group the container
+    const tagsBtn = this.createElement("button", {
+      className: "btn-icon btn-tag-icon",
+      "data-container-id": container.cookieStoreId,
+      "data-action": "edit-tags",
+      title: "Edit Tags",
+    });
+    tagsBtn.innerHTML = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20.59 13.41 13.42 20.58a2 2 0 0 1-2.83 0L2 12V2h10l8.59 8.59a2 2 0 0 1 0 2.82z"/><line x1="7" x2="7.01" y1="7" y2="7"/></svg>`;
+
     // Rename button - Edit Pen Icon (sleek edit icon with document)
     const renameBtn = this.createElement("button", {
       className: "btn-icon btn-edit-icon",
@@ -226,18 +366,220 @@ class UIManager {
 
     actions.appendChild(openBtn);
     actions.appendChild(switchBtn);
+    actions.appendChild(assignBtn);
+    actions.appendChild(killSwitchBtn);
+    actions.appendChild(historyBtn);
+    actions.appendChild(resetBtn);
+    actions.appendChild(tagsBtn);
+    if (adoptBtn) {
+      actions.appendChild(adoptBtn);
+    }
     actions.appendChild(renameBtn);
     actions.appendChild(deleteBtn);
 
     containerDiv.appendChild(actions);
 
+    // IP history timeline - filled by popup.js when expanded
+    const timeline = this.createElement("div", {
+      className: "ip-timeline",
+      "data-container-id": container.cookieStoreId,
+    });
+    timeline.style.display = "none";
+    containerDiv.appendChild(timeline);
+
     return containerDiv;
   }
 
+  /**
+   * Build the card strip showing exit IP, location, proxy and session age
+   * state.ipInfo is the ip_<cookieStoreId> record, state.route the proxy route
+   */
+  createStatusStrip(cookieStoreId, state = {}) {
+    const ipInfo = state.ipInfo || null;
+    const route = state.route || null;
+    const geoMismatch = state.geoMismatch || null;
+
+    const strip = this.createElement("div", {
+      className: `container-status-strip${geoMismatch ? " geo-mismatch" : ""}`,
+      "data-container-id": cookieStoreId,
+    });
+
+    const details = this.createElement("div", {
+      className: "status-strip-details",
+    });
+
+    [
+      ["IP", ipInfo ? ipInfo.ip : "Not checked"],
+      ["Location", ipInfo ? ipInfo.location : "—"],
+      ["Proxy", route ? route.title : "Not routed"],
+      [
+        "Session",
+        route && route.issuedAt ? `${this.formatAge(route.issuedAt)} old` : "—",
+      ],
+      [
+        "Checked",
+        ipInfo
+          ? `${this.formatAge(Date.parse(ipInfo.timestamp))} ago`
+          : "Never",
+      ],
+    ].forEach(([label, value]) => {
+      const item = this.createElement("span", {
+        className: "status-strip-item",
+      });
+      item.appendChild(
+        this.createElement("span", { className: "status-strip-label" }, label)
+      );
+      item.appendChild(
+        this.createElement("span", { className: "status-strip-value" }, value)
+      );
+      details.appendChild(item);
+    });
+
+    const refreshBtn = this.createElement("button", {
+      className: "btn-icon btn-refresh-icon",
+      "data-container-id": cookieStoreId,
+      "data-action": "refresh-ip",
+      title: "Check Exit IP Now",
+    });
+    refreshBtn.innerHTML = `<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="23 4 23 10 17 10"/><path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/></svg>`;
+
+    // Warning badge when the exit location is not the one the route asked for
+    if (geoMismatch) {
+      const expected = geoMismatch.mismatches
+        .map((mismatch) => `${mismatch.field} ${mismatch.expected}`)
+        .join(", ");
+      details.appendChild(
+        this.createElement(
+          "span",
+          {
+            className: "geo-mismatch-badge",
+            title: `Expected ${expected}, exits from ${geoMismatch.location}`,
+          },
+          `⚠️ Not in ${expected}`
+        )
+      );
+    }
+
+    strip.appendChild(details);
+    strip.appendChild(refreshBtn);
+    return strip;
+  }
+
+  /**
+   * Replace a card's status strip after its IP record or route changes
+   */
+  updateStatusStrip(cookieStoreId, state) {
+    const strip = document.querySelector(
+      `.container-status-strip[data-container-id="${CSS.escape(
+        cookieStoreId
+      )}"]`
+    );
+
+    if (strip) {
+      strip.replaceWith(this.createStatusStrip(cookieStoreId, state));
+    }
+  }
+
+  /**
+   * Format the time since a timestamp as a short age (e.g. "5m", "2h 10m")
+   */
+  formatAge(timestamp) {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+
+    if (!(minutes >= 1)) {
+      return "<1m";
+    }
+
+    if (minutes < 60) {
+      return `${minutes}m`;
+    }
+
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) {
+      return `${hours}h ${minutes % 60}m`;
+    }
+
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+  }
+
+  /**
+   * Render a container's IP history into its timeline, newest first
+   */
+  renderIpTimeline(timeline, history) {
+    timeline.textContent = "";
+
+    if (history.length === 0) {
+      timeline.appendChild(
+        this.createElement(
+          "div",
+          { className: "ip-timeline-empty" },
+          "No IP lookups recorded yet"
+        )
+      );
+      return;
+    }
+
+    const list = this.createElement("ol", { className: "ip-timeline-list" });
+
+    history
+      .slice()
+      .reverse()
+      .forEach((entry, index, entries) => {
+        const previous = entries[index + 1];
+        const changed = !previous || previous.ip !== entry.ip;
+        const item = this.createElement("li", {
+          className: changed ? "ip-changed" : "",
+        });
+
+        item.appendChild(
+          this.createElement(
+            "span",
+            { className: "ip-timeline-time" },
+            new Date(entry.timestamp).toLocaleString()
+          )
+        );
+        item.appendChild(
+          this.createElement(
+            "span",
+            { className: "ip-timeline-ip" },
+            `${entry.ip} · ${entry.location}`
+          )
+        );
+        item.appendChild(
+          this.createElement(
+            "span",
+            { className: "ip-timeline-session" },
+            entry.sessionId ? `session ${entry.sessionId}` : "rotating"
+          )
+        );
+
+        list.appendChild(item);
+      });
+
+    const exportBtn = this.createElement(
+      "button",
+      {
+        className: "btn btn-small",
+        "data-container-id": timeline.dataset.containerId,
+        "data-action": "export-ip-history",
+      },
+      "Export CSV"
+    );
+
+    timeline.appendChild(list);
+    timeline.appendChild(exportBtn);
+  }
+
   /**
    * Update container list display
+   * Cards are rendered virtually as the list scrolls, see renderVisibleContainers
    */
-  updateContainerList(containers, appliedStatuses = {}) {
+  updateContainerList(
+    containers,
+    appliedStatuses = {},
+    containerStates = {},
+    emptyText = "No containers found. Install Multi-Account Containers extension to create containers."
+  ) {
     const containerList = this.getElement("container-list");
 
     if (!containerList) {
@@ -247,6 +589,15 @@ class UIManager {
 
     // Clear existing content
     containerList.innerHTML = "";
+    this.timers.forEach((timer) => clearInterval(timer));
+    this.timers.clear();
+
+    Object.assign(this.virtualList, {
+      containers: containers || [],
+      appliedStatuses,
+      containerStates,
+      range: null,
+    });
 
     if (!containers || containers.length === 0) {
       const emptyMessage = this.createElement(
@@ -254,7 +605,7 @@ class UIManager {
         {
           className: "empty-message",
         },
-        "No containers found. Install Multi-Account Containers extension to create containers."
+        emptyText
       );
 
       containerList.appendChild(emptyMessage);
@@ -264,21 +615,251 @@ class UIManager {
       return;
     }
 
-    // Create container elements
-    containers.forEach((container) => {
-      const appliedData = appliedStatuses[container.cookieStoreId];
-      const isApplied = appliedData !== null;
+    // Spacers keep the scroll height of the cards that are not rendered
+    containerList.appendChild(
+      this.createElement("div", {
+        className: "container-list-spacer",
+        "data-spacer": "top",
+      })
+    );
+    containerList.appendChild(
+      this.createElement("div", {
+        className: "container-list-spacer",
+        "data-spacer": "bottom",
+      })
+    );
 
-      const containerElement = this.createContainerElement(
-        container,
-        isApplied,
-        appliedData
+    if (!this.virtualList.scrollHandler) {
+      this.virtualList.scrollHandler = () => this.renderVisibleContainers();
+      this.addEventListener(
+        containerList,
+        "scroll",
+        this.virtualList.scrollHandler,
+        { passive: true }
       );
-      containerList.appendChild(containerElement);
-    });
+    }
 
     // Dynamic height calculation based on container count
     this.adjustContainerListHeight(containers.length);
+    this.renderVisibleContainers(true);
+  }
+
+  /**
+   * Identify a list item: a container's cookieStoreId or its group name
+   */
+  getListKey(item) {
+    return item.group ? `group:${item.group.name}` : item.cookieStoreId;
+  }
+
+  /**
+   * Get the height an item takes in the list, measured or estimated
+   */
+  getItemHeight(item) {
+    return (
+      this.virtualList.heights.get(this.getListKey(item)) ||
+      (item.group
+        ? this.virtualList.estimatedGroupHeight
+        : this.virtualList.estimatedHeight)
+    );
+  }
+
+  /**
+   * Render the cards in and near the viewport, replacing the rest by spacers
+   */
+  renderVisibleContainers(force = false) {
+    const containerList = this.getElement("container-list");
+    const list = this.virtualList;
+    const topSpacer =
+      containerList &&
+      containerList.querySelector('.container-list-spacer[data-spacer="top"]');
+    const bottomSpacer =
+      containerList &&
+      containerList.querySelector(
+        '.container-list-spacer[data-spacer="bottom"]'
+      );
+
+    if (!topSpacer || !bottomSpacer) {
+      return;
+    }
+
+    const viewTop = containerList.scrollTop - list.overscan;
+    const viewBottom =
+      containerList.scrollTop + containerList.clientHeight + list.overscan;
+
+    let offset = 0;
+    let start = list.containers.length;
+    let end = list.containers.length;
+
+    for (let index = 0; index < list.containers.length; index++) {
+      const height = this.getItemHeight(list.containers[index]);
+
+      if (start === list.containers.length && offset + height > viewTop) {
+        start = index;
+      }
+      if (offset >= viewBottom) {
+        end = index;
+        break;
+      }
+
+      offset += height;
+    }
+
+    // Heights can shrink after measuring; keep at least the last card
+    start = Math.min(start, Math.max(0, list.containers.length - 1));
+
+    if (
+      !force &&
+      list.range &&
+      list.range.start === start &&
+      list.range.end === end
+    ) {
+      return;
+    }
+    list.range = { start, end };
+
+    // Reuse cards that stay in range so expanded timelines survive scrolling
+    const rendered = new Map();
+    containerList.querySelectorAll("[data-list-key]").forEach((element) => {
+      rendered.set(element.dataset.listKey, element);
+    });
+
+    const fragment = document.createDocumentFragment();
+    list.containers.slice(start, end).forEach((container) => {
+      const listKey = this.getListKey(container);
+      const cookieStoreId = container.cookieStoreId;
+      let card = rendered.get(listKey);
+
+      if (card) {
+        rendered.delete(listKey);
+      } else if (container.group) {
+        card = this.createGroupHeader(container.group);
+      } else {
+        const appliedData = list.appliedStatuses[cookieStoreId] || null;
+        card = this.createContainerElement(
+          container,
+          !!appliedData,
+          appliedData,
+          list.containerStates[cookieStoreId]
+        );
+
+        if (appliedData) {
+          this.startTimer(cookieStoreId, appliedData.timestamp);
+        }
+      }
+
+      card.dataset.listKey = listKey;
+      fragment.appendChild(card);
+    });
+
+    rendered.forEach((card) => {
+      if (card.dataset.containerId) {
+        this.stopTimer(card.dataset.containerId);
+      }
+      card.remove();
+    });
+
+    containerList.insertBefore(fragment, bottomSpacer);
+
+    // Measure the rendered items so later ranges and spacers are exact
+    containerList.querySelectorAll("[data-list-key]").forEach((element) => {
+      if (element.offsetHeight > 0) {
+        list.heights.set(
+          element.dataset.listKey,
+          element.offsetHeight + list.gap
+        );
+      }
+    });
+
+    const sumHeights = (items) =>
+      items.reduce((total, item) => total + this.getItemHeight(item), 0);
+    this.setSpacerHeight(
+      topSpacer,
+      sumHeights(list.containers.slice(0, start))
+    );
+    this.setSpacerHeight(bottomSpacer, sumHeights(list.containers.slice(end)));
+  }
+
+  /**
+   * Build a collapsible group header with the group's bulk actions
+   * group is { name, label, count, collapsed }; name is "" for untagged
+   */
+  createGroupHeader(group) {
+    const header = this.createElement("div", {
+      className: `container-group-header${group.collapsed ? " collapsed" : ""}`,
+    });
+    header.dataset.group = group.name;
+
+    const toggle = this.createElement("button", {
+      className: "container-group-toggle",
+      "data-action": "group-toggle",
+      title: group.collapsed ? "Expand Group" : "Collapse Group",
+    });
+    toggle.appendChild(
+      this.createElement(
+        "span",
+        { className: "container-group-caret" },
+        group.collapsed ? "▸" : "▾"
+      )
+    );
+    toggle.appendChild(
+      this.createElement(
+        "span",
+        { className: "container-group-name" },
+        group.label
+      )
+    );
+    toggle.appendChild(
+      this.createElement(
+        "span",
+        { className: "container-group-count" },
+        String(group.count)
+      )
+    );
+
+    const actions = this.createElement("div", {
+      className: "container-group-actions",
+    });
+
+    [
+      [
+        "group-open-all",
+        "Open a Tab in Every Container",
+        `<circle cx="12" cy="12" r="10"/><path d="m9 12 2 2 4-4"/>`,
+        "btn-secondary-icon",
+      ],
+      [
+        "group-rotate-all",
+        "Rotate All Sticky Sessions",
+        `<path d="M3 12a9 9 0 0 1 9-9 9.75 9.75 0 0 1 6.74 2.74L21 8"/><path d="M21 3v5h-5"/><path d="M21 12a9 9 0 0 1-9 9 9.75 9.75 0 0 1-6.74-2.74L3 16"/><path d="M3 21v-5h5"/>`,
+        "btn-secondary-icon",
+      ],
+      [
+        "group-delete",
+        "Delete Every Container in Group",
+        `<path d="M3 6h18"/><path d="M19 6v14c0 1-1 2-2 2H7c-1 0-2-1-2-2V6"/><path d="M8 6V4c0-1 1-2 2-2h4c1 0 2 1 2 2v2"/>`,
+        "btn-delete-icon",
+      ],
+    ].forEach(([action, title, paths, className]) => {
+      const button = this.createElement("button", {
+        className: `btn-icon ${className}`,
+        "data-action": action,
+        title,
+      });
+      button.innerHTML = `<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">${paths}</svg>`;
+      actions.appendChild(button);
+    });
+
+    header.appendChild(toggle);
+    header.appendChild(actions);
+    return header;
+  }
+
+  /**
+   * Size a spacer; an empty spacer is hidden so it adds no list gap
+   */
+  setSpacerHeight(spacer, height) {
+    spacer.style.display = height > 0 ? "block" : "none";
+    spacer.style.height = `${Math.max(0, height - this.virtualList.gap)}px`;
   }
 
   /**
@@ -288,8 +869,8 @@ class UIManager {
     const containerList = this.getElement("container-list");
     if (!containerList) return;
 
-    // Each container item is approximately 110px tall (includes padding, margins, etc)
-    const containerItemHeight = 110;
+    // Each container item is approximately 150px tall (includes status strip, padding, margins, etc)
+    const containerItemHeight = 150;
     const baseHeight = 360; // Base minimum height for better visibility
     const maxVisibleContainers = 5; // Show 5 containers before scrolling
 
@@ -514,6 +1095,7 @@ class UIManager {
       });
     });
     this.eventListeners.clear();
+    this.virtualList.scrollHandler = null;
 
     // Clear element cache
     this.elements.clear();
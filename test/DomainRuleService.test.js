@@ -0,0 +1,159 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const DomainRuleService = require("../services/DomainRuleService.js");
+const { createBrowser } = require("./helpers/browser.js");
+
+const matches = (rule, href) =>
+  new DomainRuleService().createMatcher(rule)(new URL(href));
+
+test("exact rules match only the host itself", () => {
+  const rule = { matchType: "exact", pattern: "Example.com" };
+
+  assert.strictEqual(matches(rule, "https://example.com/page"), true);
+  assert.strictEqual(matches(rule, "https://www.example.com/"), false);
+});
+
+test("a leading wildcard also matches the bare domain", () => {
+  const rule = { matchType: "wildcard", pattern: "*.example.com" };
+
+  assert.strictEqual(matches(rule, "https://example.com/"), true);
+  assert.strictEqual(matches(rule, "https://a.b.example.com/"), true);
+  assert.strictEqual(matches(rule, "https://notexample.com/"), false);
+  assert.strictEqual(matches(rule, "https://example.com.evil.net/"), false);
+});
+
+test("wildcards inside a pattern match any characters", () => {
+  const rule = { matchType: "wildcard", pattern: "mail.*.org" };
+
+  assert.strictEqual(matches(rule, "https://mail.example.org/"), true);
+  assert.strictEqual(matches(rule, "https://mail.org/"), false);
+});
+
+test("regex rules test the full URL case-insensitively", () => {
+  const rule = { matchType: "regex", pattern: "/Checkout/" };
+
+  assert.strictEqual(matches(rule, "https://shop.test/checkout/cart"), true);
+  assert.strictEqual(matches(rule, "https://shop.test/cart"), false);
+});
+
+test("findRule ignores non-web URLs and returns the first match", () => {
+  const service = new DomainRuleService();
+  service.rules = service.compile([
+    { pattern: "example.com", matchType: "exact", mode: "ask" },
+    { pattern: "*.com", matchType: "wildcard", mode: "ephemeral" },
+    {
+      pattern: "other.com",
+      matchType: "exact",
+      mode: "ask",
+      enabled: false,
+    },
+  ]);
+
+  assert.strictEqual(service.findRule("https://example.com/").mode, "ask");
+  assert.strictEqual(service.findRule("https://other.com/").mode, "ephemeral");
+  assert.strictEqual(service.findRule("about:blank"), null);
+  assert.strictEqual(service.findRule("not a url"), null);
+});
+
+function createRouting(t, rules) {
+  const opened = [];
+
+  // Keep the service's progress logs out of the test runner's output
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+
+  global.browser = createBrowser({
+    contextualIdentities: {
+      query: async () => [{ cookieStoreId: "firefox-container-1" }],
+      get: async (cookieStoreId) => ({ cookieStoreId }),
+      onCreated: { addListener: () => {} },
+    },
+    webRequest: { onBeforeRequest: { addListener: () => {} } },
+    tabs: {
+      get: async (tabId) => ({ id: tabId, windowId: 1, index: 0 }),
+      create: async (details) => opened.push(details),
+      remove: async () => {},
+      query: async () => [],
+      onRemoved: { addListener: () => {} },
+    },
+  });
+  global.browser.storage.data.domain_rules = rules;
+
+  return opened;
+}
+
+test("reopens a matching navigation in the rule's container", async (t) => {
+  const opened = createRouting(t, [
+    {
+      pattern: "shop.example",
+      matchType: "exact",
+      mode: "container",
+      cookieStoreId: "firefox-container-1",
+    },
+  ]);
+  const service = new DomainRuleService();
+  await service.initialize();
+
+  const result = service.handleBeforeRequest({
+    tabId: 3,
+    url: "https://shop.example/",
+    cookieStoreId: "firefox-default",
+  });
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.deepStrictEqual(result, { cancel: true });
+  assert.deepStrictEqual(
+    opened.map((tab) => [tab.url, tab.cookieStoreId]),
+    [["https://shop.example/", "firefox-container-1"]]
+  );
+});
+
+test("lets navigations through when the rule's container is gone", async (t) => {
+  const opened = createRouting(t, [
+    {
+      pattern: "shop.example",
+      matchType: "exact",
+      mode: "container",
+      cookieStoreId: "firefox-container-9",
+    },
+  ]);
+  const service = new DomainRuleService();
+  await service.initialize();
+
+  const result = service.handleBeforeRequest({
+    tabId: 3,
+    url: "https://shop.example/",
+    cookieStoreId: "firefox-default",
+  });
+
+  assert.deepStrictEqual(result, {});
+  assert.deepStrictEqual(opened, []);
+});
+
+test("removing a container deletes the rules that open sites in it", async (t) => {
+  createRouting(t, [
+    {
+      pattern: "shop.example",
+      matchType: "exact",
+      mode: "container",
+      cookieStoreId: "firefox-container-1",
+    },
+    { pattern: "*.bank.example", matchType: "wildcard", mode: "ask" },
+  ]);
+  const service = new DomainRuleService();
+  await service.initialize();
+
+  assert.strictEqual(await service.removeContainer("firefox-container-1"), 1);
+  assert.deepStrictEqual(
+    (await service.getRules()).map((rule) => rule.pattern),
+    ["*.bank.example"]
+  );
+  assert.deepStrictEqual(
+    service.handleBeforeRequest({
+      tabId: 3,
+      url: "https://shop.example/",
+      cookieStoreId: "firefox-default",
+    }),
+    {}
+  );
+});
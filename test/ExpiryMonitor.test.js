@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const ExpiryMonitor = require("../services/ExpiryMonitor.js");
+const { createBrowser } = require("./helpers/browser.js");
+
+test.beforeEach(() => {
+  global.browser = createBrowser();
+});
+
+test("saves unique thresholds from a comma separated string, largest first", async () => {
+  const monitor = new ExpiryMonitor();
+  const saved = await monitor.saveSettings({
+    enabled: true,
+    thresholdMinutes: "0, 10, 30, 10",
+  });
+
+  assert.deepStrictEqual(saved, {
+    enabled: true,
+    thresholdMinutes: [30, 10, 0],
+  });
+  assert.deepStrictEqual(browser.storage.data[monitor.settingsKey], saved);
+});
+
+test("accepts thresholds as an array and ignores empty entries", async () => {
+  const monitor = new ExpiryMonitor();
+  const saved = await monitor.saveSettings({
+    enabled: false,
+    thresholdMinutes: [5, "", " 15 "],
+  });
+
+  assert.deepStrictEqual(saved, { enabled: false, thresholdMinutes: [15, 5] });
+});
+
+test("rejects thresholds that are not whole minutes within a day", async () => {
+  const monitor = new ExpiryMonitor();
+
+  for (const value of ["ten", "-1", "1.5", "1441"]) {
+    await assert.rejects(
+      monitor.saveSettings({ enabled: true, thresholdMinutes: value }),
+      /Invalid warning threshold/
+    );
+  }
+  assert.strictEqual(browser.storage.data[monitor.settingsKey], undefined);
+});
@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+global.ProviderAdapter = require("../providers/ProviderAdapter.js");
+require("../providers/Proxy922Adapter.js");
+const FoxyProxyGenerator = require("../foxyproxy-generator.js");
+
+function createGenerator() {
+  const generator = new FoxyProxyGenerator({ proxyCount: 3 });
+  generator.credentials = { username: "user1", password: "pass123456" };
+  return generator;
+}
+
+test("maps every container to its entry's address, even on a shared gateway", () => {
+  const generator = createGenerator();
+  const containers = [
+    { cookieStoreId: "firefox-container-1", name: "Shop" },
+    { cookieStoreId: "firefox-container-2", name: "Mail" },
+  ];
+
+  const config = generator.generateFullConfig({ containers });
+
+  assert.deepStrictEqual(config.container, {
+    "firefox-container-1": "na.proxys5.net:6200",
+    "firefox-container-2": "na.proxys5.net:6200",
+  });
+  assert.match(config.data[0].title, /Shop$/);
+  assert.strictEqual(config.data.length, 3);
+});
+
+test("drops containers of removed entries from the map", () => {
+  const generator = createGenerator();
+  const containers = [
+    { cookieStoreId: "firefox-container-1", name: "Shop" },
+    { cookieStoreId: "firefox-container-2", name: "Mail" },
+  ];
+  const config = generator.generateFullConfig({ containers });
+  const pairs = generator.pairContainers(containers, config.data);
+
+  const trimmed = generator.removeEntries(config, [config.data[0].id], pairs);
+
+  assert.deepStrictEqual(Object.keys(trimmed.container), [
+    "firefox-container-2",
+  ]);
+  assert.strictEqual(trimmed.data.length, 2);
+});
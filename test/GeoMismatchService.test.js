@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const GeoMismatchService = require("../services/GeoMismatchService.js");
+
+test("reports no mismatch when the exit matches the route", () => {
+  const service = new GeoMismatchService();
+  const route = { region: "US", state: "new_york", city: "NewYork" };
+  const record = { country: "US", region: "New York", city: "New York" };
+
+  assert.deepStrictEqual(service.compare(route, record), []);
+});
+
+test("treats the lookup's country aliases as the same country", () => {
+  const service = new GeoMismatchService();
+
+  assert.deepStrictEqual(
+    service.compare({ region: "GB" }, { country: "uk" }),
+    []
+  );
+});
+
+test("lists each geo target the exit does not match", () => {
+  const service = new GeoMismatchService();
+  const route = { region: "US", state: "texas", city: "austin" };
+  const record = { country: "CA", region: "Ontario", city: "Toronto" };
+
+  assert.deepStrictEqual(
+    service.compare(route, record).map((mismatch) => mismatch.field),
+    ["country", "state", "city"]
+  );
+});
+
+test("ignores targets the lookup did not report", () => {
+  const service = new GeoMismatchService();
+  const route = { region: "US", state: "texas", city: "austin" };
+
+  assert.deepStrictEqual(service.compare(route, { country: "US" }), []);
+});
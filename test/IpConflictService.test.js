@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const IpConflictService = require("../services/IpConflictService.js");
+const { createBrowser } = require("./helpers/browser.js");
+
+const routed = new Set(["firefox-container-2"]);
+const proxyRouter = {
+  getRoute: (cookieStoreId) => (routed.has(cookieStoreId) ? {} : null),
+};
+
+const record = (cookieStoreId, ip, timestamp) => ({
+  cookieStoreId,
+  ip,
+  timestamp,
+});
+
+test("groups containers sharing an exact exit IP, oldest first", () => {
+  const service = new IpConflictService(proxyRouter);
+  const conflicts = service.findConflicts([
+    record("firefox-container-2", "203.0.113.7", "2026-01-01T10:05:00Z"),
+    record("firefox-container-1", "203.0.113.7", "2026-01-01T10:00:00Z"),
+    record("firefox-container-3", "198.51.100.1", "2026-01-01T10:00:00Z"),
+  ]);
+
+  assert.strictEqual(conflicts.length, 1);
+  assert.strictEqual(conflicts[0].kind, "ip");
+  assert.strictEqual(conflicts[0].key, "203.0.113.7");
+  assert.deepStrictEqual(
+    conflicts[0].containers.map((container) => [
+      container.cookieStoreId,
+      container.offending,
+      container.routed,
+    ]),
+    [
+      ["firefox-container-1", false, false],
+      ["firefox-container-2", true, true],
+    ]
+  );
+});
+
+test("reports different addresses in one /24 as a subnet conflict", () => {
+  const service = new IpConflictService(proxyRouter);
+  const conflicts = service.findConflicts([
+    record("firefox-container-1", "203.0.113.7", "2026-01-01T10:00:00Z"),
+    record("firefox-container-2", "203.0.113.99", "2026-01-01T10:01:00Z"),
+  ]);
+
+  assert.strictEqual(conflicts.length, 1);
+  assert.strictEqual(conflicts[0].kind, "subnet");
+  assert.strictEqual(conflicts[0].key, "203.0.113.0/24");
+});
+
+test("only matches IPv6 addresses exactly", () => {
+  const service = new IpConflictService(proxyRouter);
+
+  assert.deepStrictEqual(
+    service.findConflicts([
+      record("firefox-container-1", "2001:db8::1", "2026-01-01T10:00:00Z"),
+      record("firefox-container-2", "2001:db8::2", "2026-01-01T10:01:00Z"),
+    ]),
+    []
+  );
+});
+
+test("checks only the IP records of existing containers and their changes", async () => {
+  global.browser = createBrowser({
+    contextualIdentities: {
+      query: async () => [
+        { cookieStoreId: "firefox-container-1" },
+        { cookieStoreId: "firefox-container-2" },
+      ],
+      get: async (cookieStoreId) => ({ name: cookieStoreId }),
+    },
+    notifications: { create: () => {} },
+  });
+  await browser.storage.local.set({
+    "ip_firefox-container-1": record(
+      null,
+      "203.0.113.7",
+      "2026-01-01T10:00:00Z"
+    ),
+    "ip_history_firefox-container-1": [],
+  });
+
+  const requested = [];
+  const get = browser.storage.local.get;
+  browser.storage.local.get = (keys) => {
+    requested.push(keys);
+    return get(keys);
+  };
+
+  const service = new IpConflictService(
+    Object.assign({}, proxyRouter, { assignmentStore: { subscribe() {} } })
+  );
+  await service.initialize();
+  assert.deepStrictEqual(requested, [
+    ["ip_firefox-container-1", "ip_firefox-container-2"],
+  ]);
+
+  await browser.storage.local.set({
+    "ip_firefox-container-2": record(
+      null,
+      "203.0.113.7",
+      "2026-01-01T10:05:00Z"
+    ),
+  });
+  const conflicts = await service.refresh();
+
+  assert.strictEqual(conflicts.length, 1);
+  assert.deepStrictEqual(
+    conflicts[0].containers.map((container) => container.cookieStoreId),
+    ["firefox-container-1", "firefox-container-2"]
+  );
+  assert.strictEqual(requested.length, 1);
+});
@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const OwnershipService = require("../services/OwnershipService.js");
+const { createBrowser } = require("./helpers/browser.js");
+
+function createOwnership(containers, data = {}) {
+  const messages = [];
+
+  global.browser = createBrowser({
+    contextualIdentities: {
+      query: async () => containers,
+    },
+    runtime: {
+      sendMessage: async (message) => {
+        messages.push(message);
+        return { success: true, result: true };
+      },
+    },
+  });
+  Object.assign(global.browser.storage.data, data);
+
+  return messages;
+}
+
+test("adopts containers created before ownership tracking once", async () => {
+  createOwnership(
+    [
+      { cookieStoreId: "firefox-container-1", name: "Swift Fox 42" },
+      { cookieStoreId: "firefox-container-2", name: "Shop" },
+      { cookieStoreId: "firefox-container-3", name: "Notes" },
+      { cookieStoreId: "firefox-container-4", name: "Work" },
+      { cookieStoreId: "firefox-container-5", name: "Swift Banking 7" },
+    ],
+    {
+      container_assignments: { "firefox-container-2": { applied: true } },
+      container_tags: { "firefox-container-3": ["notes"] },
+    }
+  );
+
+  const ownership = new OwnershipService();
+  await ownership.load();
+
+  assert.deepStrictEqual(browser.storage.data.owned_containers.sort(), [
+    "firefox-container-1",
+    "firefox-container-2",
+    "firefox-container-3",
+  ]);
+
+  // A saved set, even an emptied one, is never migrated again
+  await ownership.remove("firefox-container-1");
+  await ownership.remove("firefox-container-2");
+  await ownership.remove("firefox-container-3");
+
+  const reloaded = new OwnershipService();
+  await reloaded.load();
+  assert.deepStrictEqual(browser.storage.data.owned_containers, []);
+  assert.strictEqual(reloaded.isOwned("firefox-container-1"), false);
+});
+
+test("recognizes generated container names", () => {
+  const ownership = new OwnershipService();
+
+  assert.strictEqual(ownership.isGeneratedName(ownership.generateName()), true);
+  assert.strictEqual(ownership.isGeneratedName("Cyber Hub 999"), true);
+  assert.strictEqual(ownership.isGeneratedName("Cyber Hub 0"), false);
+  assert.strictEqual(ownership.isGeneratedName("Cyber Hub"), false);
+  assert.strictEqual(ownership.isGeneratedName("Personal"), false);
+});
+
+test("remote services send writes to the background script", async () => {
+  const messages = createOwnership([], {
+    owned_containers: ["firefox-container-1"],
+  });
+
+  const ownership = new OwnershipService({ remote: true });
+  await ownership.add("firefox-container-2");
+
+  assert.deepStrictEqual(messages, [
+    {
+      action: "updateOwnership",
+      method: "add",
+      args: ["firefox-container-2"],
+    },
+  ]);
+  assert.strictEqual(ownership.isOwned("firefox-container-2"), true);
+  assert.deepStrictEqual(browser.storage.data.owned_containers, [
+    "firefox-container-1",
+  ]);
+});
@@ -0,0 +1,135 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const AssignmentStore = require("../services/AssignmentStore.js");
+const ProxyRouter = require("../services/ProxyRouter.js");
+const { createBrowser } = require("./helpers/browser.js");
+
+const entry = {
+  id: "firefoxy-abc",
+  title: "1 sticky 60m",
+  type: "socks5",
+  hostname: "na.proxys5.net",
+  port: "6200",
+  username: "user-region-US-sessid-abc-sessTime-60",
+  proxyDNS: true,
+};
+
+async function createRouter() {
+  global.browser = createBrowser();
+
+  const assignmentStore = new AssignmentStore();
+  await assignmentStore.load();
+
+  const router = new ProxyRouter(null, assignmentStore);
+  router.password = "secret";
+  return router;
+}
+
+test("routes only containers that have a route", async () => {
+  const router = await createRouter();
+  await router.assignRoute("firefox-container-1", entry);
+
+  const proxyInfo = router.handleRequest({
+    url: "https://example.com/",
+    cookieStoreId: "firefox-container-1",
+  });
+  assert.strictEqual(proxyInfo.host, "na.proxys5.net");
+  assert.strictEqual(proxyInfo.port, 6200);
+
+  assert.strictEqual(
+    router.handleRequest({
+      url: "https://example.com/",
+      cookieStoreId: "firefox-container-2",
+    }),
+    undefined
+  );
+});
+
+test("routes requests carrying a probe token through the probe entry", async () => {
+  const router = await createRouter();
+  const token = router.addProbe({ ...entry, password: "probe-password" });
+  const url = router.getProbeUrl("https://ipinfo.io/json?x=1", token);
+
+  assert.strictEqual(new URL(url).searchParams.get("firefoxy_probe"), token);
+  assert.strictEqual(new URL(url).searchParams.get("x"), "1");
+
+  const proxyInfo = router.handleRequest({ url, cookieStoreId: undefined });
+  assert.strictEqual(proxyInfo.username, entry.username);
+  assert.strictEqual(proxyInfo.password, "probe-password");
+
+  router.removeProbe(token);
+  assert.strictEqual(router.handleRequest({ url }), undefined);
+  assert.strictEqual(
+    router.getProbe("https://ipinfo.io/json?firefoxy_probe=unknown"),
+    null
+  );
+});
+
+test("passes SOCKS credentials in the proxy info only", async () => {
+  const router = await createRouter();
+
+  assert.deepStrictEqual(router.toProxyInfo({ ...entry, port: 6200 }), {
+    type: "socks",
+    host: "na.proxys5.net",
+    port: 6200,
+    username: entry.username,
+    password: "secret",
+    proxyDNS: true,
+  });
+
+  // HTTP(S) proxies answer onAuthRequired challenges instead
+  assert.deepStrictEqual(
+    router.toProxyInfo({ ...entry, type: "http", port: 7000 }),
+    { type: "http", host: "na.proxys5.net", port: 7000 }
+  );
+});
+
+test("never stores the password with the route", async () => {
+  const router = await createRouter();
+  await router.assignRoute("firefox-container-1", {
+    ...entry,
+    password: "secret",
+  });
+
+  const stored = browser.storage.data.container_assignments;
+  assert.strictEqual(
+    JSON.stringify(stored).includes("secret"),
+    false,
+    "password leaked into storage"
+  );
+});
+
+test("marks routes down, auth-failed and up again", async () => {
+  const router = await createRouter();
+  await router.assignRoute("firefox-container-1", entry);
+
+  await router.markDown(
+    "firefox-container-1",
+    "NS_ERROR_PROXY_CONNECTION_REFUSED"
+  );
+  await router.markAuthFailure("firefox-container-1");
+
+  let route = router.getRoute("firefox-container-1");
+  assert.ok(route.downAt);
+  assert.ok(route.authFailedAt);
+  assert.strictEqual(route.lastError, "NS_ERROR_PROXY_CONNECTION_REFUSED");
+
+  await router.markUp("firefox-container-1");
+
+  route = router.getRoute("firefox-container-1");
+  assert.strictEqual(route.downAt, undefined);
+  assert.strictEqual(route.authFailedAt, undefined);
+  assert.strictEqual(route.lastError, undefined);
+  assert.strictEqual(route.username, entry.username);
+});
+
+test("ignores marks for unrouted containers", async () => {
+  const router = await createRouter();
+
+  await router.markDown("firefox-container-9", "error");
+  await router.markAuthFailure("firefox-container-9");
+  await router.markUp("firefox-container-9");
+
+  assert.strictEqual(router.getRoute("firefox-container-9"), null);
+  assert.strictEqual(browser.storage.data.container_assignments, undefined);
+});
@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const SessionScheduler = require("../services/SessionScheduler.js");
+
+const minutes = (count) => count * 60 * 1000;
+
+test("rotates a sticky session the lead time before it expires", () => {
+  const scheduler = new SessionScheduler();
+  const route = { issuedAt: 1000, sessionTime: 60 };
+
+  assert.strictEqual(scheduler.getRotationTime(route), 1000 + minutes(55));
+});
+
+test("caps the lead at half of a short session's lifetime", () => {
+  const scheduler = new SessionScheduler();
+  const route = { issuedAt: 1000, sessionTime: 5 };
+
+  assert.strictEqual(scheduler.getRotationTime(route), 1000 + minutes(2.5));
+});
+
+test("rotates on the interval unless the session expires first", () => {
+  const scheduler = new SessionScheduler();
+  scheduler.settings.intervalMinutes = 20;
+
+  assert.strictEqual(
+    scheduler.getRotationTime({ issuedAt: 0, sessionTime: 120 }),
+    minutes(20)
+  );
+  assert.strictEqual(
+    scheduler.getRotationTime({ issuedAt: 0, sessionTime: 10 }),
+    minutes(5)
+  );
+});
+
+test("keeps rotating due containers after one of them fails", async () => {
+  const routes = [
+    ["firefox-container-1", { sessionId: "a", issuedAt: 1, sessionTime: 10 }],
+    ["firefox-container-2", { sessionId: "b", issuedAt: 1, sessionTime: 10 }],
+  ];
+  const scheduler = new SessionScheduler({ getRoutes: () => routes });
+  const attempted = [];
+
+  scheduler.rotateWhenIdle = async (cookieStoreId) => {
+    attempted.push(cookieStoreId);
+    if (cookieStoreId === "firefox-container-1") {
+      throw new Error("No saved credentials to build a new session");
+    }
+  };
+
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    await scheduler.checkSessions();
+  } finally {
+    console.error = originalError;
+  }
+
+  assert.deepStrictEqual(attempted, [
+    "firefox-container-1",
+    "firefox-container-2",
+  ]);
+});
@@ -0,0 +1,140 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const AssignmentStore = require("../services/AssignmentStore.js");
+const OwnershipService = require("../services/OwnershipService.js");
+const TagService = require("../services/TagService.js");
+const TrashService = require("../services/TrashService.js");
+const { createBrowser } = require("./helpers/browser.js");
+
+function createTrash(sessionScheduler = null) {
+  const identities = {
+    "firefox-container-1": {
+      cookieStoreId: "firefox-container-1",
+      name: "Shop",
+      color: "blue",
+      icon: "cart",
+    },
+  };
+  const openedTabs = [];
+
+  global.browser = createBrowser({
+    contextualIdentities: {
+      query: async () => Object.values(identities),
+      get: async (cookieStoreId) => identities[cookieStoreId],
+      create: async (details) => {
+        const cookieStoreId = "firefox-container-2";
+        identities[cookieStoreId] = { cookieStoreId, ...details };
+        return identities[cookieStoreId];
+      },
+    },
+    tabs: {
+      query: async () => [
+        { url: "https://shop.example/cart" },
+        { url: "about:preferences" },
+      ],
+      create: async (details) => openedTabs.push(details),
+    },
+  });
+
+  const assignmentStore = new AssignmentStore();
+  const tagService = new TagService();
+  const ownershipService = new OwnershipService();
+
+  return {
+    trash: new TrashService(assignmentStore, tagService, ownershipService, {
+      sessionScheduler,
+    }),
+    assignmentStore,
+    tagService,
+    ownershipService,
+    openedTabs,
+  };
+}
+
+test("restores a container with its assignment, tags, ownership and tabs", async () => {
+  const { trash, assignmentStore, tagService, ownershipService, openedTabs } =
+    createTrash();
+  const route = { title: "1 US sticky 60m", sessionId: "abc", issuedAt: 1 };
+  const session = { generatedAt: 1, sessionMode: "sticky", sessionTime: 60 };
+
+  await assignmentStore.load();
+  await assignmentStore.setRoute("firefox-container-1", route);
+  await assignmentStore.setApplied("firefox-container-1", true, session);
+  await tagService.load();
+  await tagService.setTags("firefox-container-1", ["shopping"]);
+  await ownershipService.add("firefox-container-1");
+
+  const entry = await trash.add("firefox-container-1");
+  const container = await trash.restore(entry.id);
+
+  assert.strictEqual(container.cookieStoreId, "firefox-container-2");
+  assert.strictEqual(container.name, "Shop");
+
+  const restored = assignmentStore.get("firefox-container-2");
+  assert.strictEqual(restored.route.sessionId, "abc");
+  assert.ok(restored.route.issuedAt > 1, "issuedAt is reset on restore");
+  assert.strictEqual(restored.applied, true);
+  assert.deepStrictEqual(restored.session, session);
+  assert.deepStrictEqual(tagService.getTags("firefox-container-2"), [
+    "shopping",
+  ]);
+  assert.strictEqual(ownershipService.isOwned("firefox-container-2"), true);
+
+  // Privileged pages cannot be reopened and are not snapshotted
+  assert.deepStrictEqual(
+    openedTabs.map((tab) => [tab.url, tab.cookieStoreId]),
+    [["https://shop.example/cart", "firefox-container-2"]]
+  );
+  assert.deepStrictEqual(await trash.list(), []);
+});
+
+test("refuses to restore a snapshot that is no longer in the trash", async () => {
+  const { trash } = createTrash();
+
+  await assert.rejects(trash.restore("missing"), /no longer in the trash/);
+});
+
+test("gives a restored sticky container a new session", async () => {
+  const rotations = [];
+  const { trash, assignmentStore } = createTrash({
+    rotate: async (cookieStoreId, reason) =>
+      rotations.push([cookieStoreId, reason]),
+  });
+  const route = { title: "1 US sticky 60m", sessionId: "abc", issuedAt: 1 };
+
+  await assignmentStore.load();
+  await assignmentStore.setRoute("firefox-container-1", {
+    ...route,
+    downAt: 5,
+  });
+
+  const entry = await trash.add("firefox-container-1");
+  await trash.restore(entry.id);
+
+  assert.deepStrictEqual(rotations, [["firefox-container-2", "restore"]]);
+  assert.strictEqual(
+    assignmentStore.get("firefox-container-2").route.downAt,
+    undefined
+  );
+});
+
+test("restores the container when the new session cannot be built", async () => {
+  const { trash, assignmentStore } = createTrash({
+    rotate: async () => {
+      throw new Error("No saved credentials to build a new session");
+    },
+  });
+
+  await assignmentStore.load();
+  await assignmentStore.setRoute("firefox-container-1", {
+    title: "1 US sticky 60m",
+    sessionId: "abc",
+    issuedAt: 1,
+  });
+
+  const entry = await trash.add("firefox-container-1");
+  const container = await trash.restore(entry.id);
+
+  assert.strictEqual(container.cookieStoreId, "firefox-container-2");
+  assert.deepStrictEqual(await trash.list(), []);
+});
@@ -0,0 +1,49 @@
+/**
+ * Minimal in-memory stand-in for the WebExtension browser global
+ * Covers the storage API the services share; tests add the other APIs
+ * they need through overrides
+ */
+
+function createBrowser(overrides = {}) {
+  const data = {};
+  const listeners = new Set();
+  const copy = (value) =>
+    value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+  const browser = {
+    storage: {
+      data,
+      local: {
+        async get(keys) {
+          const names = keys == null ? Object.keys(data) : [].concat(keys);
+          const result = {};
+          names.forEach((key) => {
+            if (key in data) {
+              result[key] = copy(data[key]);
+            }
+          });
+          return result;
+        },
+        async set(items) {
+          const changes = {};
+          Object.entries(items).forEach(([key, value]) => {
+            changes[key] = { oldValue: data[key], newValue: copy(value) };
+            data[key] = copy(value);
+          });
+          listeners.forEach((listener) => listener(changes, "local"));
+        },
+        async remove(keys) {
+          [].concat(keys).forEach((key) => delete data[key]);
+        },
+      },
+      onChanged: {
+        addListener: (listener) => listeners.add(listener),
+        removeListener: (listener) => listeners.delete(listener),
+      },
+    },
+  };
+
+  return Object.assign(browser, overrides);
+}
+
+module.exports = { createBrowser };